@@ -1,1007 +1,924 @@
 import "dotenv/config";
-import { existsSync, readFileSync, writeFileSync } from "node:fs";
-import { dirname, join } from "node:path";
-import { fileURLToPath } from "node:url";
-import { chromium } from "playwright";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const SESSION_FILE = join(__dirname, "session.json");
-const QUEUE_FILE = join(__dirname, "queue.txt");
-const ADDED_FILE = join(__dirname, "added.txt");
-const ALREADY_EXISTS_FILE = join(__dirname, "already-exists.txt");
-const NOT_FOUND_FILE = join(__dirname, "not-found.txt");
-const ERRORS_FILE = join(__dirname, "errors.txt");
-
-const BASE_URL = "https://oneschoolglobal.softlinkhosting.com.au";
-const SMART_CATALOG_URL = `${BASE_URL}/oliver/cataloguing/smartCataloguing.do`;
-const PERMISSION_DENIED_SELECTOR =
-  "div.permissionDenied\\?resource\\=%2Fcataloguing%2FsmartCataloguing";
-const LOGIN_LINK_SELECTOR = "a.login.topLink[href='login']";
-
-let browser;
-let context;
-let page;
-
-// Track pages that already have event handlers registered
-const pagesWithHandlers = new WeakSet();
-
-function registerPageEventHandlers(targetPage) {
-  if (!targetPage) {
-    return;
-  }
-
-  // Prevent duplicate handler registration
-  if (pagesWithHandlers.has(targetPage)) {
-    return;
+import { existsSync, mkdirSync, rmSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { basename, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { BatchRunner } from "./lib/batch-runner.js";
+import {
+  envCredentials,
+  resolveCredentials,
+  saveCredentialFile,
+} from "./lib/credentials.js";
+import { startDashboard } from "./lib/dashboard.js";
+import { PROJECT_DIR, readLines, resolveDataFiles } from "./lib/files.js";
+import {
+  readInputEntries,
+  saveIsbnDetails,
+  validateIsbns,
+} from "./lib/input.js";
+import { log, LOG_FORMATS, openLogFile } from "./lib/logger.js";
+import {
+  exportLegacyFiles,
+  writePreviewReport,
+  writeReports,
+} from "./lib/reports.js";
+import { DEFAULT_RETRY_POLICY } from "./lib/retry.js";
+import { loadSiteConfig, resolveProfile } from "./lib/site.js";
+import { ERROR_STATUSES, StateStore } from "./lib/state-store.js";
+import { DEFAULT_TIMING_PROFILE, TIMING_PROFILES } from "./lib/timing.js";
+import { DEFAULT_WATCH_INTERVAL_MS, watchInbox } from "./lib/watch.js";
+
+// Command-line interface: a thin wrapper around the library in lib/
+const COMMANDS = [
+  "run",
+  "scan",
+  "watch",
+  "status",
+  "serve",
+  "retry-errors",
+  "reset",
+  "report",
+  "batches",
+  "credentials",
+];
+const CREDENTIAL_ACTIONS = ["save", "clear"];
+const REPORT_FORMATS = ["text", "json", "csv", "legacy", "all"];
+// Commands that open the browser, and so write a log file (see openLogFile)
+const LOGGED_COMMANDS = ["run", "scan", "watch", "serve"];
+// Commands that change the queue or results, which only one process may do
+// in a data directory at a time (see lib/lock.js)
+const STATE_COMMANDS = [...LOGGED_COMMANDS, "retry-errors", "reset"];
+
+const CLI_OPTIONS = {
+  column: { type: "string" },
+  headless: { type: "boolean" },
+  debug: { type: "boolean" },
+  limit: { type: "string" },
+  concurrency: { type: "string" },
+  "max-attempts": { type: "string" },
+  "retry-delay": { type: "string" },
+  "dry-run": { type: "boolean" },
+  "lookup-only": { type: "boolean" },
+  review: { type: "boolean" },
+  "review-matches": { type: "boolean" },
+  "keep-session": { type: "boolean" },
+  site: { type: "string" },
+  profile: { type: "string" },
+  config: { type: "string" },
+  format: { type: "string" },
+  port: { type: "string" },
+  interval: { type: "string" },
+  label: { type: "string" },
+  batch: { type: "string" },
+  since: { type: "string" },
+  until: { type: "string" },
+  trace: { type: "boolean" },
+  "keep-alive": { type: "string" },
+  "log-format": { type: "string" },
+  timing: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  run <file|isbn...>   Queue ISBNs from files or the command line, then work
+                       through the queue (with nothing given, resumes the
+                       existing queue)
+  scan                 Keep Smart Cataloguing open and process each ISBN as
+                       it is scanned (or typed) and Enter is pressed
+  watch [folder]       Keep running and process every ISBN file dropped into
+                       the folder (default: the inbox folder next to the
+                       results), moving each to processed/ or failed/
+  status               Show what is queued and how many ISBNs have finished
+                       with each result
+  serve                Open a web dashboard on this computer for adding ISBN
+                       lists, starting, pausing and stopping runs and
+                       downloading the results
+  retry-errors         Put ISBNs that ended in an error back into the queue
+  reset                Archive the queue and all results and start fresh
+  report               Rebuild the reports from saved results without running
+                       (everything, or one batch or period with --batch,
+                       --since and --until)
+  batches              List the batches (runs) so far with their results
+  credentials save     Store the Oliver login in an encrypted file, unlocked
+                       with a passphrase, instead of a plaintext .env password
+  credentials clear    Delete the encrypted credential file
+
+Options:
+  --column <name|n>    ISBN column for spreadsheet imports (run)
+  --headless           Run without a visible browser (same as HEADLESS=true)
+  --debug              Show detailed logging (same as DEBUG=1); the log file
+                       in the logs folder always has it
+  --log-format <type>  ${LOG_FORMATS.join(" or ")}: how the log file is written
+                       (run, scan, watch, serve, default: text)
+  --limit <n>          Process at most n ISBNs this run (run)
+  --concurrency <n>    Search n ISBNs at once, each in its own browser tab
+                       (run, default: 1)
+  --max-attempts <n>   Try an ISBN that hit a temporary problem (timeout,
+                       lost session...) up to n times this run (run,
+                       default: ${DEFAULT_RETRY_POLICY.maxAttempts})
+  --retry-delay <s>    Seconds to wait before the first retry, doubling for
+                       each later one (run, default: ${
+                         DEFAULT_RETRY_POLICY.retryDelayMs / 1000
+                       })
+  --dry-run            Show what would be queued and processed, without
+                       opening the browser or changing anything (run)
+  --lookup-only        Search each ISBN and preview what would happen without
+                       saving anything; writes preview-report.txt/.csv (run)
+  --review             Pause on results the tool can't classify and ask what
+                       to do: save, skip, mark not found or retry (run)
+  --review-matches     Like --review, but also pause before saving each match
+                       (run)
+  --keep-session       Keep the saved login when resetting (reset)
+  --site <name>        Which Oliver site from oliver.config.json to use
+                       (same as OLIVER_SITE=<name>)
+  --profile <name>     Use a profile from oliver.config.json, with its own
+                       login, site, session, queue and results
+                       (same as OLIVER_PROFILE=<name>)
+  --config <file>      Use a different config file (same as OLIVER_CONFIG)
+  --port <n>           Port for the web dashboard (serve, default: 3000)
+  --interval <s>       How often to check the folder for new files (watch,
+                       default: ${DEFAULT_WATCH_INTERVAL_MS / 1000})
+  --label <text>       Name this batch in reports (run, scan; default: the
+                       input file names)
+  --batch <id|name>    Report on one batch: its run ID, its name (the latest
+                       batch with that name) or "latest" (report)
+  --since <date>       Report on ISBNs finished on or after this date, e.g.
+                       2026-03-01 (report)
+  --until <date>       ... and on or before this date (report)
+  --trace              Record a Playwright trace of the whole run in the
+                       artifacts folder, for working out what went wrong
+                       (run, scan, watch, serve)
+  --keep-alive <m>     Keep the Oliver login from timing out: if it hasn't
+                       been used for m minutes, load an Oliver page in the
+                       background (run, scan, watch, serve)
+  --timing <name>      How patiently to wait for Oliver: ${Object.keys(
+    TIMING_PROFILES
+  ).join(", ")}
+                       (run, scan, watch, serve; same as OLIVER_TIMING;
+                       default: the site's, usually ${DEFAULT_TIMING_PROFILE})
+  --format <type>      ${REPORT_FORMATS.join(", ")} (report, default: all)
+  -h, --help           Show this help
+
+Examples:
+  node index.js run isbns.txt
+  node index.js run invoice.xlsx --column ISBN --headless
+  node index.js run 9780545139700 9780439139595
+  node index.js run donations.txt --lookup-only
+  node index.js run stocktake.txt --concurrency 3 --headless
+  node index.js run donations.txt --review
+  node index.js scan
+  node index.js watch "S:\\Orders\\ISBN exports" --headless
+  node index.js status
+  node index.js serve --concurrency 2 --headless
+  node index.js report --format csv
+  node index.js report --batch latest
+  node index.js report --since 2026-03-01 --until 2026-03-31
+  node index.js credentials save --profile northcampus
+
+"node index.js <file|isbn>" without a command is the same as "run".`;
+
+async function requireCredentials(credentials, dataFiles, profile) {
+  let found;
+  try {
+    found = await resolveCredentials(credentials, {
+      credentialFile: dataFiles.credentials,
+      label: profile ? ` (${profile.name})` : "",
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 
-  targetPage.on("dialog", async (dialog) => {
-    const message = dialog.message();
-    const type = dialog.type();
-    console.log(`   → Dialog appeared [${type}]: "${message}" (auto-accept)`);
-    try {
-      await dialog.accept();
-      console.log(`   → Dialog accepted successfully`);
-    } catch (error) {
-      // Dialog may already be handled by another event listener
-      if (!error.message.includes("already handled")) {
-        console.log(`   → Failed to accept dialog: ${error.message}`);
-      }
-    }
-  });
-
-  pagesWithHandlers.add(targetPage);
-}
-
-// Queue management functions
-function readLines(filePath) {
-  if (!existsSync(filePath)) {
-    return [];
+  if (!found) {
+    console.error("Error: No Oliver username and password available. Either:");
+    console.error(
+      `  - set ${credentials.usernameVar} and ${credentials.passwordVar} in .env (see .env.example)`
+    );
+    console.error(
+      `  - set ${credentials.passwordCommandVar} to a command that prints the password`
+    );
+    console.error(
+      '  - save an encrypted credential file with "node index.js credentials save"'
+    );
+    console.error("  - or run from a terminal to be asked for the password");
+    process.exit(1);
   }
-  const content = readFileSync(filePath, "utf-8");
-  return content
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0 && !line.startsWith("#"));
 }
 
-function writeLines(filePath, lines) {
-  writeFileSync(filePath, lines.join("\n") + "\n", "utf-8");
+function isHeadless() {
+  return process.env.HEADLESS === "true" || process.env.HEADLESS === "1";
 }
 
-function appendLine(filePath, line, errorMessage = null) {
-  const content = errorMessage ? `${line} # ${errorMessage}` : line;
-  const existing = existsSync(filePath) ? readFileSync(filePath, "utf-8") : "";
-  writeFileSync(filePath, existing + content + "\n", "utf-8");
-}
-
-function removeFirstLineFromQueue() {
-  const queue = readLines(QUEUE_FILE);
-  if (queue.length > 0) {
-    queue.shift(); // Remove first item
-    writeLines(QUEUE_FILE, queue);
+function printTarget(site, profile) {
+  console.log(`Oliver site: ${site.name} (${site.baseUrl})`);
+  if (site.timing !== DEFAULT_TIMING_PROFILE) {
+    console.log(`Timing: ${site.timing}`);
+  }
+  if (profile) {
+    console.log(`Profile: ${profile.name} (files in ${profile.dataDir})`);
   }
 }
 
-function getProcessedIsbns() {
-  // Read all successfully processed ISBNs (excluding errors.txt for retry)
-  const added = readLines(ADDED_FILE);
-  const alreadyExists = readLines(ALREADY_EXISTS_FILE);
-  const notFound = readLines(NOT_FOUND_FILE);
-  return new Set([...added, ...alreadyExists, ...notFound]);
-}
-
-function initializeQueue(inputIsbns) {
-  const processedIsbns = getProcessedIsbns();
-  const existingQueue = readLines(QUEUE_FILE);
-
-  // Clean existing queue of already-processed ISBNs
-  const cleanedQueue = existingQueue.filter(
-    (isbn) => !processedIsbns.has(isbn)
-  );
-
-  if (cleanedQueue.length < existingQueue.length) {
+const SCAN_OK_STATUSES = ["ADDED", "ADDED_UNVERIFIED", "ALREADY_EXISTS"];
+
+// The line shown after each scanned book. Anything that needs a second look
+// rings the terminal bell so the book can be set aside without reading the
+// screen.
+function announceScan({ raw, isbn, status, result, error, alreadyProcessed }) {
+  const title = result?.record?.title ? ` - ${result.record.title}` : "";
+  const again = alreadyProcessed ? " (scanned before)" : "";
+
+  if (status === "NOT_FOUND") {
+    console.log("\x07\n" + "!".repeat(60));
+    console.log(`❌ NOT FOUND: ${isbn}${again} - set this book aside`);
+    console.log("!".repeat(60));
+  } else if (status === "INVALID") {
+    console.log(`\x07\n⚠️  NOT AN ISBN: "${raw}" (${error}) - scan it again`);
+  } else if (status === "ADDED") {
+    console.log(`\n✅ ADDED: ${isbn}${title}${again}`);
+  } else if (status === "ADDED_UNVERIFIED") {
+    console.log(`\n✅ ADDED (not verified, check in Oliver): ${isbn}${title}`);
+  } else if (status === "ALREADY_EXISTS") {
+    console.log(`\n⏭️  ALREADY IN CATALOGUE: ${isbn}${title}${again}`);
+  } else {
+    const message = result?.error ? ` (${result.error})` : "";
     console.log(
-      `Removed ${
-        existingQueue.length - cleanedQueue.length
-      } already-processed ISBN(s) from queue`
+      `\x07\n⚠️  ${status}: ${isbn}${message} - set this book aside to check`
     );
   }
+  console.log("\nScan the next book (Ctrl+C to finish)");
+}
 
-  if (cleanedQueue.length > 0) {
-    console.log(`Found existing queue with ${cleanedQueue.length} ISBN(s)`);
-
-    // Filter input ISBNs to only include those not already processed and not in queue
-    const newIsbns = inputIsbns.filter(
-      (isbn) => !processedIsbns.has(isbn) && !cleanedQueue.includes(isbn)
+async function scanIsbns(
+  store,
+  { site, credentials, profile, retryPolicy, trace, keepAliveMs, label }
+) {
+  await requireCredentials(credentials, store.dataFiles, profile);
+
+  const runner = new BatchRunner({
+    site,
+    credentials,
+    store,
+    headless: isHeadless(),
+    retryPolicy,
+    trace,
+    keepAliveMs,
+    label,
+  });
+  runner.on("start", () => printTarget(site, profile));
+  runner.on("ready", () => {
+    console.log(
+      "\n📷 Scan mode: scan a barcode or type an ISBN and press Enter"
     );
+    console.log("   Press Ctrl+C when you've finished the trolley");
+  });
+  runner.on("scanned", announceScan);
 
-    if (newIsbns.length > 0) {
-      console.log(`Adding ${newIsbns.length} new ISBN(s) to queue`);
-      const updatedQueue = [...cleanedQueue, ...newIsbns];
-      writeLines(QUEUE_FILE, updatedQueue);
-      return updatedQueue;
-    } else {
-      console.log("No new ISBNs to add to queue");
-      if (cleanedQueue.length !== existingQueue.length) {
-        writeLines(QUEUE_FILE, cleanedQueue);
-      }
-      return cleanedQueue;
-    }
-  } else {
-    // No existing queue or it was empty after cleaning
-    const newIsbns = inputIsbns.filter((isbn) => !processedIsbns.has(isbn));
+  // Start reading straight away so books scanned while the browser is still
+  // logging in are kept rather than lost
+  const input = createInterface({ input: process.stdin, crlfDelay: Infinity });
+  const lines = input[Symbol.asyncIterator]();
 
-    if (newIsbns.length < inputIsbns.length) {
-      console.log(
-        `Skipped ${
-          inputIsbns.length - newIsbns.length
-        } already-processed ISBN(s)`
-      );
-    }
+  // Ctrl+C finishes the book being processed; pressing it again quits at once
+  process.once("SIGINT", () => {
+    runner.stop();
+    input.close();
+  });
 
-    if (newIsbns.length > 0) {
-      console.log(`Creating new queue with ${newIsbns.length} ISBN(s)`);
-      writeLines(QUEUE_FILE, newIsbns);
-      return newIsbns;
-    } else {
-      console.log("All ISBNs have already been processed");
-      return [];
+  try {
+    const { runId, results, completed } = await runner.scan(lines);
+    if (!completed || results.length === 0) {
+      return;
     }
-  }
-}
 
-function recordResult(isbn, status, errorMessage = null) {
-  switch (status) {
-    case "ADDED":
-      appendLine(ADDED_FILE, isbn);
-      break;
-    case "ALREADY_EXISTS":
-      appendLine(ALREADY_EXISTS_FILE, isbn);
-      break;
-    case "NOT_FOUND":
-      appendLine(NOT_FOUND_FILE, isbn);
-      break;
-    case "ERROR":
-    case "UNKNOWN":
-      appendLine(ERRORS_FILE, isbn, errorMessage || "Unknown error");
-      break;
-  }
-  removeFirstLineFromQueue();
-}
-
-async function gotoAndWait(url, options = {}) {
-  if (!page) {
-    await ensurePage();
-  }
-  const mergedOptions = { waitUntil: "domcontentloaded", ...options };
-  const targetPath = new URL(url).pathname;
-
-  if (process.env.DEBUG) {
-    console.log(`   → Navigating to: ${targetPath}`);
-  }
-
-  try {
-    await page.goto(url, mergedOptions);
-  } catch (error) {
-    if (error.message?.includes("ERR_ABORTED")) {
-      const currentUrl = page.url();
-      if (currentUrl.includes(targetPath)) {
-        console.log(
-          `   → Navigation to ${targetPath} interrupted by redirect; continuing.`
-        );
-        await page.waitForTimeout(500);
-        return;
+    const scanned = new Map(results.map((result) => [result.isbn, result]));
+    const setAside = [...scanned.values()].filter(
+      (result) => !SCAN_OK_STATUSES.includes(result.status)
+    );
+    if (setAside.length > 0) {
+      console.log(`\nBooks to set aside (${setAside.length}):`);
+      for (const result of setAside) {
+        console.log(`   - ${result.isbn}: ${result.status}`);
       }
     }
-    throw error;
-  }
-
-  await page.waitForTimeout(500);
-  if (process.env.DEBUG) {
-    console.log(`   → Navigation to ${targetPath} completed`);
+    writeReports(store, { runId });
+  } catch (error) {
+    log.error(`Error during automation: ${error.message}`);
+    exportLegacyFiles(store);
+    process.exit(1);
+  } finally {
+    input.close();
   }
 }
 
-async function ensurePage() {
-  if (!context) {
-    throw new Error("Browser context is not initialised");
-  }
+async function runOliverAutomation(store, isbns, options = {}) {
+  const { site, credentials, profile, dryRun = false, ...runOptions } = options;
+  const { limit = Infinity, lookupOnly = false } = runOptions;
+  const { dataFiles } = store;
+  log.info("Starting Oliver Library automation...");
 
-  if (!page || page.isClosed()) {
-    if (page?.isClosed()) {
-      console.log("   → Current browser tab was closed, opening a new one...");
-    } else {
-      console.log("   → Opening browser tab...");
-    }
-
-    page = await context.newPage();
-    registerPageEventHandlers(page);
+  if (!dryRun) {
+    await requireCredentials(credentials, dataFiles, profile);
   }
 
-  return page;
-}
-
-async function loginThroughPopup() {
-  await ensurePage();
-
-  let loginLink = page.locator(LOGIN_LINK_SELECTOR);
-  let loginVisible = await loginLink.isVisible().catch(() => false);
-
-  if (!loginVisible) {
-    console.log("   → Login link not visible, navigating to home page...");
-    await gotoAndWait(`${BASE_URL}/oliver/home/browse/list`);
-    loginLink = page.locator(LOGIN_LINK_SELECTOR);
-    loginVisible = await loginLink.isVisible().catch(() => false);
-  }
+  // Normalise input and divert anything that isn't a real ISBN to invalid.txt
+  const validIsbns = validateIsbns(isbns, {
+    invalidFile: dataFiles.invalid,
+    record: !dryRun && !lookupOnly,
+  });
 
-  if (!loginVisible) {
-    console.log("   → Login link still unavailable after navigating home.");
-    return false;
+  if (dryRun) {
+    const { existingQueue, newIsbns, skipped } = store.planQueue(validIsbns);
+    const queue = [...existingQueue, ...newIsbns];
+    const toProcess = queue.slice(0, limit);
+    console.log("\nDry run - nothing will be queued or processed.");
+    console.log(`  Already in queue: ${existingQueue.length}`);
+    console.log(`  Would be added to queue: ${newIsbns.length}`);
+    console.log(`  Already processed (skipped): ${skipped.length}`);
+    console.log(`  Would be processed this run: ${toProcess.length}`);
+    toProcess.forEach((isbn) => {
+      console.log(`   - ${isbn}`);
+    });
+    return;
   }
 
-  const maxLoginDialogAttempts = 3;
-  let submittedCredentials = false;
+  const runner = new BatchRunner({
+    site,
+    credentials,
+    store,
+    headless: isHeadless(),
+    ...runOptions,
+  });
+  runner.on("start", () => printTarget(site, profile));
 
-  for (let attempt = 1; attempt <= maxLoginDialogAttempts; attempt++) {
-    if (attempt > 1) {
-      console.log(
-        `   → Login dialog retry (${attempt}/${maxLoginDialogAttempts})...`
-      );
+  try {
+    const { runId, results, completed } = await runner.run(validIsbns);
+    if (!completed) {
+      return;
     }
 
-    console.log("   → Opening login dialog...");
-    await loginLink.first().click();
-
-    const loginFormReady = await page
-      .waitForSelector("#loginForm_username", { timeout: 8000 })
-      .catch(() => null);
-
-    if (!loginFormReady) {
-      console.log("   → Login form did not appear, closing dialog...");
-      await page.keyboard.press("Escape").catch(() => {});
-      await page.waitForTimeout(500);
-      loginLink = page.locator(LOGIN_LINK_SELECTOR);
-      const stillVisible = await loginLink.isVisible().catch(() => false);
-      if (!stillVisible) {
-        await gotoAndWait(`${BASE_URL}/oliver/home/browse/list`);
-        loginLink = page.locator(LOGIN_LINK_SELECTOR);
-      }
-      continue;
+    console.log("\n" + "=".repeat(70));
+    console.log(
+      lookupOnly ? "LOOKUP COMPLETE - PREVIEW" : "PROCESSING COMPLETE - REPORT"
+    );
+    console.log("\n" + "=".repeat(70));
+    if (lookupOnly) {
+      writePreviewReport(dataFiles, results);
+    } else {
+      writeReports(store, { runId });
     }
-
-    await page.fill("#loginForm_username", process.env.OLIVER_USERNAME);
-    await page.fill("#loginForm_password", process.env.OLIVER_PASSWORD);
-    console.log("   → Submitting login credentials...");
-    await page.click('#dialogContent button[type="submit"]');
-    submittedCredentials = true;
-    break;
-  }
-
-  if (!submittedCredentials) {
-    console.log("   → Failed to submit credentials; login aborted.");
-    return false;
-  }
-
-  console.log("   → Waiting for page to settle after login...");
-  try {
-    await page.waitForLoadState("load", { timeout: 10000 });
-    console.log("   → Page loaded.");
   } catch (error) {
-    console.log(`   → Page load timeout: ${error.message}`);
-  }
-
-  await page.waitForTimeout(500);
-  console.log("   → Checking login status...");
-
-  const logoutVisible = await page
-    .waitForSelector("#window_logout", { timeout: 10000 })
-    .then(() => true)
-    .catch(() => false);
-
-  if (!logoutVisible) {
-    console.log("   → Login dialog completed but logout control missing.");
-    return false;
+    log.error(`Error during automation: ${error.message}`);
+    log.error(`Stack trace: ${error.stack}`);
+    if (!lookupOnly) {
+      exportLegacyFiles(store);
+    }
+    process.exit(1);
   }
-
-  console.log("   → Login confirmed; saving session.");
-  await context.storageState({ path: SESSION_FILE });
-  console.log("   → Session saved, login complete.");
-  return true;
 }
 
-async function attemptDirectSmartCatalog(maxAttempts = 5) {
-  await ensurePage();
-
-  console.log("   → Ensuring Smart Cataloguing access (direct)...");
-
-  let attemptedLogin = false;
+function usageError(message) {
+  console.error(`Error: ${message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (attempt > 1) {
-      console.log(
-        `   → Direct Smart Cataloguing retry (${attempt}/${maxAttempts})...`
-      );
+// --limit, --concurrency and the retry options, shared by run and serve
+function parseRunOptions(values) {
+  let limit = Infinity;
+  if (values.limit !== undefined) {
+    limit = Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      usageError("--limit must be a whole number of at least 1");
     }
+  }
 
-    await gotoAndWait(SMART_CATALOG_URL);
-
-    const currentUrl = page.url();
-    const loginVisible = await page
-      .isVisible(LOGIN_LINK_SELECTOR)
-      .catch(() => false);
-    const permissionDenied =
-      (await page.isVisible(PERMISSION_DENIED_SELECTOR).catch(() => false)) ||
-      currentUrl.includes("permissionDenied");
-
-    if (loginVisible) {
-      if (attemptedLogin) {
-        console.log(
-          "   → Direct navigation still shows login after re-auth; switching to menu."
-        );
-        break;
-      }
-
-      console.log("   → Session not active on direct load, invoking login...");
-      const loginSuccess = await loginThroughPopup();
-      if (!loginSuccess) {
-        console.log("   → Login attempt unsuccessful.");
-        await page.waitForTimeout(1000);
-        continue;
-      }
-      attemptedLogin = true;
-      continue;
+  let concurrency = 1;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      usageError("--concurrency must be a whole number of at least 1");
     }
+  }
 
-    if (!permissionDenied) {
-      if (!currentUrl.includes("/oliver/cataloguing/smartCataloguing.do")) {
-        console.log(
-          `   → Direct navigation redirected to ${currentUrl}, switching to menu fallback.`
-        );
-        break;
-      }
-
-      try {
-        await page.waitForSelector("#smartCatSearchTerm", { timeout: 15000 });
-        return true;
-      } catch (_) {
-        console.log("   → Smart Cataloguing page not ready, retrying...");
-        continue;
-      }
+  const retryPolicy = { ...DEFAULT_RETRY_POLICY };
+  if (values["max-attempts"] !== undefined) {
+    retryPolicy.maxAttempts = Number(values["max-attempts"]);
+    if (
+      !Number.isInteger(retryPolicy.maxAttempts) ||
+      retryPolicy.maxAttempts < 1
+    ) {
+      usageError("--max-attempts must be a whole number of at least 1");
     }
-
-    console.log("   → Smart Cataloguing access denied; attempting login...");
-    if (attemptedLogin) {
-      console.log(
-        "   → Direct access still denied after login; switching to menu fallback."
-      );
-      break;
+  }
+  if (values["retry-delay"] !== undefined) {
+    const seconds = Number(values["retry-delay"]);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      usageError("--retry-delay must be a number of seconds");
     }
+    retryPolicy.retryDelayMs = seconds * 1000;
+  }
 
-    const loginSuccess = await loginThroughPopup();
-    if (!loginSuccess) {
-      console.log("   → Login attempt unsuccessful.");
-      await page.waitForTimeout(1000);
-      continue;
+  let keepAliveMs = null;
+  if (values["keep-alive"] !== undefined) {
+    keepAliveMs = Number(values["keep-alive"]) * 60 * 1000;
+    if (!Number.isFinite(keepAliveMs) || keepAliveMs <= 0) {
+      usageError("--keep-alive must be a number of minutes");
     }
-
-    attemptedLogin = true;
   }
 
-  return false;
+  return {
+    limit,
+    concurrency,
+    retryPolicy,
+    trace: Boolean(values.trace),
+    keepAliveMs,
+  };
 }
 
-async function attemptMenuSmartCatalog(attempt = 1) {
-  if (attempt > 3) {
-    return false;
+// The input file names, "command line" for ISBNs typed after run, or
+// "resumed queue" when carrying on with the existing queue
+function defaultBatchLabel(operands) {
+  const names = operands
+    .filter((input) => existsSync(input))
+    .map((input) => basename(input));
+  if (names.length < operands.length) {
+    names.push("command line");
   }
+  return names.join(", ") || "resumed queue";
+}
 
-  if (attempt > 1) {
-    console.log(
-      `   → Menu navigation retry (${attempt}/3) to reach Smart Cataloguing...`
+// "2026-03-01" means midnight at the start of that day, local time; with
+// endOfDay, midnight at the end of it so the whole day is included
+function parseDateOption(name, value, endOfDay = false) {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = match
+    ? new Date(match[1], match[2] - 1, Number(match[3]) + (endOfDay ? 1 : 0))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    usageError(`--${name} must be a date such as 2026-03-01`);
+  }
+  return date;
+}
+
+// A run ID, "latest", or a batch name (the most recent batch with it)
+function findBatch(store, value) {
+  const batches = store.getBatches();
+  const batch =
+    value === "latest"
+      ? batches.at(-1)
+      : batches.find((run) => run.runId === value) ||
+        batches.findLast((run) => run.label === value);
+  if (!batch) {
+    console.error(
+      `Error: No batch "${value}". Run "node index.js batches" to list them.`
     );
-  } else {
-    console.log("   → Direct navigation failed; trying menu navigation...");
+    process.exit(1);
   }
+  return batch;
+}
 
-  await gotoAndWait(`${BASE_URL}/oliver/welcome.do`);
-
-  const logoutVisible = await page
-    .isVisible("#window_logout")
-    .catch(() => false);
-
-  if (!logoutVisible) {
-    console.log("   → Logged out on welcome page, attempting login...");
-    const loginSuccess = await loginThroughPopup();
-    if (!loginSuccess) {
-      console.log("   → Login attempt unsuccessful.");
-      return attemptMenuSmartCatalog(attempt + 1);
-    }
-    // Check if we're already on welcome page after login
-    const currentUrl = page.url();
-    if (!currentUrl.includes("/oliver/welcome.do")) {
-      console.log("   → Login successful, navigating to welcome page...");
-      await gotoAndWait(`${BASE_URL}/oliver/welcome.do`);
-    } else {
-      console.log("   → Login successful, already on welcome page.");
-    }
-    console.log("   → Waiting for page to fully initialize...");
-    await page.waitForTimeout(1000); // Give page time to fully load and initialize menus
+function printBatches(store) {
+  const batches = store.getBatches();
+  if (batches.length === 0) {
+    console.log("No batches yet");
+    return;
   }
 
-  console.log("   → Checking for cataloguing menu...");
-  try {
-    await page.waitForSelector("#menu_cataloguing", {
-      timeout: 20000,
-    });
-    console.log("   → Cataloguing menu found!");
-  } catch (_) {
+  for (const batch of batches) {
+    const statuses = new Map(
+      batch.results.map((result) => [result.isbn, result.status])
+    );
+    const count = (...wanted) =>
+      [...statuses.values()].filter((status) => wanted.includes(status)).length;
+    const added = count("ADDED", "ADDED_UNVERIFIED");
+    const existing = count("ALREADY_EXISTS");
+    const notFound = count("NOT_FOUND");
+    const errors = count(...ERROR_STATUSES);
+    const started = batch.startedAt
+      ? new Date(batch.startedAt).toLocaleString()
+      : "";
+    console.log(`${batch.runId}  ${started}  ${batch.label || ""}`);
     console.log(
-      "   → Cataloguing menu not visible, refreshing welcome page..."
+      `   ${statuses.size} ISBN(s): ${added} added, ${existing} already existed, ${notFound} not found, ${errors} errors`
     );
-    await page.reload({ waitUntil: "domcontentloaded" }).catch(async () => {
-      await gotoAndWait(`${BASE_URL}/oliver/welcome.do`);
-    });
-
-    // Try again after refresh, retry the whole function if still not visible
-    try {
-      await page.waitForSelector("#menu_cataloguing", {
-        timeout: 20000,
-      });
-    } catch (_) {
-      console.log(
-        "   → Cataloguing menu still not visible after refresh, retrying..."
-      );
-      return attemptMenuSmartCatalog(attempt + 1);
-    }
   }
+  console.log(
+    '\nUse "node index.js report --batch <run ID>" to write the report for one of them.'
+  );
+}
 
-  await page.keyboard.press("Escape").catch(() => {});
-  await page.waitForTimeout(200);
-
-  const popupPromise = context
-    .waitForEvent("page", { timeout: 4000 })
-    .catch(() => null);
+function printStatus(store, profile) {
+  const queue = store.getQueue();
+  const count = (...statuses) => store.getRecordsByStatus(...statuses).length;
 
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      console.log("   → Clicking Cataloguing menu to open dropdown...");
-      await page.locator("#menu_cataloguing").click({ timeout: 5000 });
-      console.log("   → Cataloguing menu clicked successfully");
-      break;
-    } catch (error) {
-      if (attempt === 3) {
-        throw error;
-      }
-      console.log(
-        `   → Cataloguing header click blocked (attempt ${attempt}), retrying after clearing overlays...`
-      );
-      await page.keyboard.press("Escape").catch(() => {});
-      await page.waitForTimeout(500);
-    }
+  console.log(
+    profile ? `Oliver upload status - ${profile.name}` : "Oliver upload status"
+  );
+  console.log(`  Queued:         ${queue.length}`);
+  console.log(`  Added:          ${count("ADDED", "ADDED_UNVERIFIED")}`);
+  if (count("ADDED_UNVERIFIED") > 0) {
+    console.log(`    not verified: ${count("ADDED_UNVERIFIED")}`);
   }
-  console.log("   → Waiting for Smart Cataloguing menu item to appear...");
-  await page.waitForTimeout(1500);
-
-  // There are often 2 elements with this ID - one hidden, one visible
-  // We need to click the visible one (usually the last one)
-  const menuItems = await page.locator("#menuItem_smartCataloguing").all();
-  console.log(`   → Found ${menuItems.length} Smart Cataloguing menu items`);
-
-  let visibleItem = null;
-  for (const item of menuItems) {
-    const isVisible = await item.isVisible();
-    if (isVisible) {
-      visibleItem = item;
-      console.log("   → Found visible Smart Cataloguing menu item");
-      break;
-    }
+  console.log(`  Already exists: ${count("ALREADY_EXISTS")}`);
+  console.log(`  Not found:      ${count("NOT_FOUND")}`);
+  console.log(`  Errors:         ${count(...ERROR_STATUSES)}`);
+  const categories = new Map();
+  for (const record of store.getRecordsByStatus(...ERROR_STATUSES)) {
+    const category = record.results.at(-1)?.errorCategory || "uncategorised";
+    categories.set(category, (categories.get(category) || 0) + 1);
   }
-
-  if (!visibleItem) {
-    throw new Error("No visible Smart Cataloguing menu item found");
+  for (const [category, total] of categories) {
+    console.log(`    ${category}: ${total}`);
   }
+  console.log(`  Invalid input:  ${readLines(store.dataFiles.invalid).length}`);
 
-  console.log("   → Clicking visible Smart Cataloguing menu item...");
-  await visibleItem.click();
-
-  const popup = await popupPromise;
-  if (popup) {
-    page = popup;
-    registerPageEventHandlers(page);
-  } else {
-    try {
-      await page.waitForLoadState("domcontentloaded", { timeout: 15000 });
-    } catch (_) {
-      // Ignore load-state timeouts spawned by background requests.
-    }
+  const waiting = store
+    .getQueuedRecords()
+    .filter((record) => record.retryAt).length;
+  if (waiting > 0) {
+    console.log(`  Waiting to be retried: ${waiting} (included in queued)`);
   }
 
-  const loginVisible = await page
-    .isVisible(LOGIN_LINK_SELECTOR)
-    .catch(() => false);
-  if (loginVisible) {
-    console.log(
-      "   → Menu navigation landed on login page, re-authenticating..."
-    );
-    const loginSuccess = await loginThroughPopup();
-    if (!loginSuccess) {
-      console.log("   → Login dialog failed during menu fallback.");
-      return attemptMenuSmartCatalog(attempt + 1);
+  if (queue.length > 0) {
+    const preview = queue.slice(0, 10);
+    console.log(`\nNext in queue:`);
+    preview.forEach((isbn) => {
+      console.log(`   - ${isbn}`);
+    });
+    if (queue.length > preview.length) {
+      console.log(`   ... and ${queue.length - preview.length} more`);
     }
-    // After login, retry menu navigation instead of direct
-    return attemptMenuSmartCatalog(attempt + 1);
-  }
-
-  const permissionDenied = await page
-    .isVisible(PERMISSION_DENIED_SELECTOR)
-    .catch(() => false);
-  if (permissionDenied) {
-    console.log("   → Menu navigation returned permission denied, retrying...");
-    await page.waitForTimeout(500);
-    return attemptMenuSmartCatalog(attempt + 1);
   }
 
-  try {
-    await page.waitForSelector("#smartCatSearchTerm", { timeout: 15000 });
-    return true;
-  } catch (_) {
+  if (count(...ERROR_STATUSES) > 0) {
     console.log(
-      "   → Smart Cataloguing page incomplete after menu navigation."
+      '\nRun "node index.js retry-errors" to put the errors back in the queue.'
     );
-    await page.waitForTimeout(1000);
-    return attemptMenuSmartCatalog(attempt + 1);
   }
 }
 
-async function ensureSmartCataloguingPage() {
-  // Skip direct navigation - it never works after login, always use menu method
-  return attemptMenuSmartCatalog();
-}
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    usageError(error.message);
+  }
 
-async function navigateToSmartCataloguing() {
-  return ensureSmartCataloguingPage();
-}
+  const { values, positionals } = parsed;
 
-async function searchSmartCataloguing(isbn, attempt = 1) {
-  if (attempt > 3) {
-    return false;
+  if (values.help) {
+    console.log(USAGE);
+    return;
   }
 
-  try {
-    console.log("   → Waiting for search field to be available...");
-    await page.waitForSelector("#smartCatSearchTerm", { timeout: 15000 });
-  } catch {
-    console.log("   → Search field unavailable, reloading page...");
-    const reNav = await navigateToSmartCataloguing();
-    if (!reNav) {
-      return false;
-    }
-    return searchSmartCataloguing(isbn, attempt + 1);
+  if (positionals.length === 0) {
+    usageError("Please provide a command, ISBN or file path");
   }
 
-  await page.fill("#smartCatSearchTerm", "");
-  await page.fill("#smartCatSearchTerm", isbn);
-  await page.click("#smartCatSearchButton");
+  // Older usage: "node index.js isbns.txt" runs straight away
+  const command = COMMANDS.includes(positionals[0]) ? positionals[0] : "run";
+  const operands =
+    command === positionals[0] ? positionals.slice(1) : positionals;
 
-  // Check for and dismiss the modal dialog that may appear on subsequent searches
+  const configPath = values.config || process.env.OLIVER_CONFIG;
+  const profileName = values.profile || process.env.OLIVER_PROFILE;
+  let profile = null;
+  let site;
   try {
-    const modalDialog = await page.waitForSelector("[id^='modalPopupId_']", {
-      timeout: 1000,
-    });
-    if (modalDialog) {
-      console.log("   → Modal dialog appeared, dismissing...");
-      const okButton = await page.$("#dialogButton_OK");
-      if (okButton) {
-        await okButton.click();
-        console.log("   → Modal dismissed");
-        await page.waitForTimeout(300);
-      }
+    if (profileName) {
+      profile = resolveProfile(profileName, configPath);
     }
-  } catch (_) {
-    // No modal appeared, continue
-  }
-
-  // Wait for the search to start - the message should change to "Search, please wait..."
-  try {
-    console.log("   → Waiting for search to start...");
-    await page.waitForFunction(
-      () => {
-        const msgElement =
-          document.querySelector("#smartCatFoundMsg") ||
-          document.querySelector(".smartCatFoundMsg");
-        if (!msgElement) return false;
-        const text = msgElement.innerText.trim();
-        return text && !text.includes("Search, please wait...");
-      },
-      { timeout: 2000 }
+    site = loadSiteConfig(
+      values.site || profile?.site || process.env.OLIVER_SITE,
+      configPath
     );
-  } catch (_) {
-    // Continue if loading message doesn't appear
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 
-  // Now wait for the search to complete - the status message changes to the actual result
-  try {
-    await page.waitForFunction(
-      () => {
-        const msgElement =
-          document.querySelector("#smartCatFoundMsg") ||
-          document.querySelector(".smartCatFoundMsg");
-        if (!msgElement) return false;
-        const text = msgElement.innerText.trim();
-        // Wait until it's NOT the loading message anymore
-        return text && !text.includes("Search, please wait...");
-      },
-      { timeout: 10000 }
-    );
-  } catch (_) {
-    // If the status message doesn't change, allow a short grace period
-    await page.waitForTimeout(1500);
+  // Without a profile, files sit next to index.js
+  let dataFiles = resolveDataFiles(PROJECT_DIR);
+  let credentials = envCredentials();
+  if (profile) {
+    if (profile.baseUrl) {
+      site.baseUrl = profile.baseUrl.replace(/\/+$/, "");
+    }
+    mkdirSync(profile.dataDir, { recursive: true });
+    dataFiles = resolveDataFiles(profile.dataDir);
+    credentials = profile.credentials;
   }
-
-  const loginVisible = await page
-    .isVisible(LOGIN_LINK_SELECTOR)
-    .catch(() => false);
-
-  const stillOnSmartCataloguing = page
-    .url()
-    .includes("/oliver/cataloguing/smartCataloguing.do");
-
-  const permissionDenied = await page
-    .isVisible(PERMISSION_DENIED_SELECTOR)
-    .catch(() => false);
-
+  const timing = values.timing || process.env.OLIVER_TIMING;
+  if (timing) {
+    if (!TIMING_PROFILES[timing]) {
+      usageError(
+        `--timing must be one of: ${Object.keys(TIMING_PROFILES).join(", ")}`
+      );
+    }
+    site.timing = timing;
+  }
+  const store = new StateStore(dataFiles);
   if (
-    (loginVisible || !stillOnSmartCataloguing || permissionDenied) &&
-    attempt < 3
+    STATE_COMMANDS.includes(command) &&
+    !values["dry-run"] &&
+    !values["lookup-only"]
   ) {
-    console.log("   → Search broke session, re-authenticating...");
-    const reNav = await navigateToSmartCataloguing();
-    if (!reNav) {
-      return false;
+    try {
+      store.lock();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
     }
-    return searchSmartCataloguing(isbn, attempt + 1);
   }
 
-  return stillOnSmartCataloguing;
-}
-
-async function processISBN(isbn, skipNavigation = false) {
-  console.log(`\n${"=".repeat(50)}`);
-  console.log(`Processing ISBN: ${isbn}`);
-  console.log("=".repeat(50));
-
-  try {
-    // Only navigate if it's the first ISBN or if explicitly requested
-    if (!skipNavigation) {
-      const navSuccess = await navigateToSmartCataloguing();
-      if (!navSuccess) {
-        console.log("❌ Failed to navigate to Smart Cataloguing page");
-        const result = { isbn, status: "ERROR", error: "Navigation failed" };
-        recordResult(isbn, result.status, result.error);
-        return result;
-      }
-    }
-
-    const searchReady = await searchSmartCataloguing(isbn);
-    if (!searchReady) {
-      console.log(
-        "❌ Unable to complete search after session refresh attempts"
-      );
-      const result = {
-        isbn,
-        status: "ERROR",
-        error: "Search failed after re-login",
-      };
-      recordResult(isbn, result.status, result.error);
-      return result;
-    }
-
-    const statusMessageHandle =
-      (await page.$("#smartCatFoundMsg")) ||
-      (await page.$(".smartCatFoundMsg"));
+  if (values.headless) {
+    process.env.HEADLESS = "true";
+  }
+  if (values.debug) {
+    process.env.DEBUG = "1";
+  }
 
-    const statusText = statusMessageHandle
-      ? (await statusMessageHandle.innerText()).trim()
-      : "";
+  // Everything the browser commands print is also kept in logs/, with the
+  // time, ISBN and worker of each line, for looking back at unattended runs
+  const logFormat = values["log-format"] || "text";
+  if (!LOG_FORMATS.includes(logFormat)) {
+    usageError(`--log-format must be one of: ${LOG_FORMATS.join(", ")}`);
+  }
+  if (LOGGED_COMMANDS.includes(command) && !values["dry-run"]) {
+    const logPath = openLogFile(dataFiles.logs, {
+      name: command,
+      format: logFormat,
+    });
+    log.info(`Log file: ${logPath}`);
+    log.debug(`Command: node index.js ${argv.join(" ")}`);
+  }
 
-    if (statusText.toLowerCase().includes("no matching resource")) {
-      console.log("❌ ISBN not found - no matching resource");
-      const result = { isbn, status: "NOT_FOUND" };
-      recordResult(isbn, result.status);
-      return result;
-    }
+  switch (command) {
+    case "run": {
+      const { limit, concurrency, retryPolicy, trace, keepAliveMs } =
+        parseRunOptions(values);
 
-    if (statusText.toLowerCase().includes("found matching resource")) {
-      const saveButton = await page.$("#smartCatSaveResource");
-      if (saveButton) {
-        const isDisabled = await saveButton.isDisabled();
-        if (isDisabled) {
-          console.log("⏭️  Resource already exists in catalog");
-          const result = { isbn, status: "ALREADY_EXISTS" };
-          recordResult(isbn, result.status);
-          return result;
+      const review = values.review || values["review-matches"];
+      if (review) {
+        if (isHeadless()) {
+          usageError("--review needs a visible browser; remove --headless");
         }
-
-        console.log("✅ Resource found and not yet catalogued, saving...");
-        await saveButton.click();
-
-        // Check for and dismiss the modal dialog that may appear after saving
-        try {
-          const modalDialog = await page.waitForSelector("[id^='modalPopupId_']", {
-            timeout: 2000,
-          });
-          if (modalDialog) {
-            console.log("   → Save confirmation modal appeared, dismissing...");
-            const okButton = await page.$("#dialogButton_OK");
-            if (okButton) {
-              await okButton.click();
-              console.log("   → Modal dismissed");
-              await page.waitForTimeout(500);
-            }
-          }
-        } catch (_) {
-          // No modal appeared, continue
+        if (values["lookup-only"]) {
+          usageError("--review can't be combined with --lookup-only");
         }
+        if (concurrency > 1) {
+          usageError("--review can't be combined with --concurrency");
+        }
+        if (!process.stdin.isTTY) {
+          usageError("--review needs an interactive terminal");
+        }
+      }
 
+      const entries = [];
+      for (const input of operands) {
         try {
-          await page.waitForLoadState("load", { timeout: 8000 });
-        } catch (_) {
-          // Ignore load-state timeouts; data saves even if background polling continues.
+          entries.push(...(await readInputEntries(input, values.column)));
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          process.exit(1);
         }
-
-        console.log("✅ Resource saved successfully!");
-        const result = { isbn, status: "ADDED" };
-        recordResult(isbn, result.status);
-        return result;
       }
 
-      console.log("⚠️  Found resource but save control missing");
-      const result = { isbn, status: "UNKNOWN" };
-      recordResult(isbn, result.status, "Save button not found");
-      return result;
-    }
+      if (operands.length === 0 && store.getQueue().length === 0) {
+        usageError("The queue is empty; please provide an ISBN or file path");
+      }
 
-    console.log("⚠️  Warning: No status message after search:", statusText);
-    const result = { isbn, status: "UNKNOWN" };
-    recordResult(isbn, result.status, "No status message");
-    return result;
-  } catch (error) {
-    console.error(`❌ Error processing ISBN ${isbn}: ${error.message}`);
-    if (page?.isClosed?.()) {
-      console.log(
-        "   → Page closed unexpectedly; it will be recreated on the next iteration."
+      if (!values["dry-run"] && !values["lookup-only"]) {
+        saveIsbnDetails(dataFiles.details, entries);
+      }
+      await runOliverAutomation(
+        store,
+        entries.map((entry) => entry.value),
+        {
+          site,
+          credentials,
+          profile,
+          limit,
+          concurrency,
+          review,
+          reviewMatches: values["review-matches"],
+          retryPolicy,
+          trace,
+          keepAliveMs,
+          label: values.label || defaultBatchLabel(operands),
+          dryRun: values["dry-run"],
+          lookupOnly: values["lookup-only"],
+        }
       );
+      break;
     }
-    const result = { isbn, status: "ERROR", error: error.message };
-    recordResult(isbn, result.status, result.error);
-    return result;
-  }
-}
-
-async function runOliverAutomation(isbns) {
-  console.log("Starting Oliver Library automation...");
-
-  if (!process.env.OLIVER_USERNAME || !process.env.OLIVER_PASSWORD) {
-    console.error(
-      "Error: Please create a .env file with OLIVER_USERNAME and OLIVER_PASSWORD"
-    );
-    console.error("See .env.example for reference");
-    process.exit(1);
-  }
-
-  if (!isbns || isbns.length === 0) {
-    console.error("Error: No ISBNs provided");
-    console.error("Usage: node index.js <ISBN or file path>");
-    process.exit(1);
-  }
-
-  // Initialize queue with input ISBNs
-  const queue = initializeQueue(isbns);
-  console.log(`\nTotal ISBNs in queue: ${queue.length}`);
-
-  // Skip processing if queue is empty
-  if (queue.length === 0) {
-    console.log("\n✅ No ISBNs to process. Exiting.");
-    return;
-  }
-
-  const headless =
-    process.env.HEADLESS === "true" || process.env.HEADLESS === "1";
-  if (headless) {
-    console.log("Running in headless mode (browser will not be visible)");
-  } else {
-    console.log(
-      "Running with visible browser (use HEADLESS=true to run headlessly)"
-    );
-  }
-
-  browser = await chromium.launch({
-    headless: headless,
-    slowMo: headless ? 0 : 100, // No slowMo in headless mode for better performance
-  });
 
-  const hasSession = existsSync(SESSION_FILE);
+    case "scan": {
+      if (operands.length > 0) {
+        usageError("scan reads ISBNs as they are scanned; use run for files");
+      }
+      if (values.review || values["review-matches"]) {
+        usageError("--review can't be used with scan");
+      }
+      const { retryPolicy, trace, keepAliveMs } = parseRunOptions(values);
+      await scanIsbns(store, {
+        site,
+        credentials,
+        profile,
+        retryPolicy,
+        trace,
+        keepAliveMs,
+        label: values.label || "scan",
+      });
+      break;
+    }
 
-  if (hasSession) {
-    console.log("Found saved session, loading...");
-    context = await browser.newContext({ storageState: SESSION_FILE });
-  } else {
-    console.log("No saved session found");
-    context = await browser.newContext();
-  }
+    case "watch": {
+      if (operands.length > 1) {
+        usageError("watch takes one folder");
+      }
+      if (values.review || values["review-matches"]) {
+        usageError("--review can't be used with watch");
+      }
+      if (values["lookup-only"] || values["dry-run"]) {
+        usageError("--lookup-only and --dry-run can't be used with watch");
+      }
+      let intervalMs = DEFAULT_WATCH_INTERVAL_MS;
+      if (values.interval !== undefined) {
+        intervalMs = Number(values.interval) * 1000;
+        if (!Number.isFinite(intervalMs) || intervalMs < 1000) {
+          usageError("--interval must be a number of seconds (at least 1)");
+        }
+      }
 
-  context.on("page", (newPage) => {
-    registerPageEventHandlers(newPage);
-  });
+      await requireCredentials(credentials, dataFiles, profile);
+      const runner = new BatchRunner({
+        site,
+        credentials,
+        store,
+        headless: isHeadless(),
+        ...parseRunOptions(values),
+      });
+      runner.on("start", () => printTarget(site, profile));
 
-  page = await context.newPage();
-  registerPageEventHandlers(page);
+      // Ctrl+C finishes the ISBNs in progress; pressing it again quits at once
+      const stopWatching = new AbortController();
+      process.once("SIGINT", () => {
+        stopWatching.abort();
+        runner.stop();
+      });
 
-  try {
-    console.log("Preparing Smart Cataloguing session...");
-    const initialReady = await navigateToSmartCataloguing();
-    if (!initialReady) {
-      console.log("❌ Unable to reach Smart Cataloguing interface");
-      return;
+      await watchInbox(runner, resolve(operands[0] || dataFiles.inbox), {
+        column: values.column,
+        intervalMs,
+        signal: stopWatching.signal,
+      });
+      console.log("Stopped watching");
+      break;
     }
 
-    const results = [];
-    const totalToProcess = queue.length;
-    let processed = 0;
+    case "status":
+      printStatus(store, profile);
+      break;
 
-    // Process ISBNs from queue (queue will be updated as we go)
-    while (true) {
-      const currentQueue = readLines(QUEUE_FILE);
-      if (currentQueue.length === 0) {
-        break; // Queue is empty
+    case "serve": {
+      const runOptions = parseRunOptions(values);
+      if (values.review || values["review-matches"]) {
+        usageError("--review can't be used with serve");
+      }
+      if (values["lookup-only"] || values["dry-run"]) {
+        usageError("--lookup-only and --dry-run can't be used with serve");
+      }
+      let port = 3000;
+      if (values.port !== undefined) {
+        port = Number(values.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+          usageError("--port must be a whole number between 1 and 65535");
+        }
       }
 
-      const isbn = currentQueue[0]; // Always process the first item
-      processed++;
-
-      const remaining = currentQueue.length - 1;
-      console.log(
-        `\nProgress: ${processed}/${totalToProcess} (${remaining} remaining in queue)`
-      );
-
-      // Skip navigation since we're already on Smart Cataloguing page
-      const result = await processISBN(isbn, true);
-      results.push(result);
-    }
-
-    console.log("\n" + "=".repeat(70));
-    console.log("PROCESSING COMPLETE - REPORT");
-    console.log("\n" + "=".repeat(70));
+      await requireCredentials(credentials, dataFiles, profile);
+      let dashboard;
+      try {
+        dashboard = await startDashboard({
+          store,
+          site,
+          credentials,
+          port,
+          runOptions: { ...runOptions, headless: isHeadless() },
+        });
+      } catch (error) {
+        console.error(
+          error.code === "EADDRINUSE"
+            ? `Error: Port ${port} is already in use; try another with --port`
+            : `Error: ${error.message}`
+        );
+        process.exit(1);
+      }
 
-    // Read results from files
-    const added = readLines(ADDED_FILE);
-    const alreadyExists = readLines(ALREADY_EXISTS_FILE);
-    const notFound = readLines(NOT_FOUND_FILE);
-    const errorLines = existsSync(ERRORS_FILE)
-      ? readFileSync(ERRORS_FILE, "utf-8")
-          .split(/\r?\n/)
-          .filter((l) => l.trim())
-      : [];
-
-    console.log(`\n✅ ADDED (${added.length}):`);
-    if (added.length > 0) {
-      added.forEach((isbn) => {
-        console.log(`   - ${isbn}`);
+      console.log(`\n🌐 Dashboard running at ${dashboard.url}`);
+      console.log("   → Open it in your web browser. Press Ctrl+C to stop.");
+      process.once("SIGINT", async () => {
+        console.log("\nShutting down the dashboard...");
+        await dashboard.close();
+        process.exit(0);
       });
-    } else {
-      console.log("   None");
+      break;
     }
 
-    console.log(`\n⏭️  ALREADY EXISTS (${alreadyExists.length}):`);
-    if (alreadyExists.length > 0) {
-      alreadyExists.forEach((isbn) => {
-        console.log(`   - ${isbn}`);
-      });
-    } else {
-      console.log("   None");
+    case "retry-errors": {
+      const requeued = store.requeueErrors();
+      if (requeued.length === 0) {
+        console.log("No errors to retry");
+        break;
+      }
+      exportLegacyFiles(store);
+      console.log(`Moved ${requeued.length} ISBN(s) back into the queue`);
+      console.log('Run "node index.js run" to process them.');
+      break;
     }
 
-    console.log(`\n❌ NOT FOUND (${notFound.length}):`);
-    if (notFound.length > 0) {
-      notFound.forEach((isbn) => {
-        console.log(`   - ${isbn}`);
-      });
-    } else {
-      console.log("   None");
+    case "reset": {
+      const archived = store.reset({ keepSession: values["keep-session"] });
+      if (archived) {
+        console.log(`Previous progress archived to: ${archived}`);
+      }
+      console.log(
+        values["keep-session"]
+          ? "Queue and results cleared (saved login kept)"
+          : "Queue, results and saved login cleared"
+      );
+      break;
     }
 
-    if (errorLines.length > 0) {
-      console.log(`\n❌ ERRORS (${errorLines.length}):`);
-      errorLines.forEach((line) => {
-        console.log(`   - ${line}`);
-      });
+    case "report": {
+      const format = values.format || "all";
+      if (!REPORT_FORMATS.includes(format)) {
+        usageError(`--format must be one of: ${REPORT_FORMATS.join(", ")}`);
+      }
+      const scope = {};
+      if (values.batch !== undefined) {
+        if (values.since !== undefined || values.until !== undefined) {
+          usageError("--batch can't be combined with --since or --until");
+        }
+        scope.runId = findBatch(store, values.batch).runId;
+      }
+      if (values.since !== undefined) {
+        scope.since = parseDateOption("since", values.since);
+      }
+      if (values.until !== undefined) {
+        scope.until = parseDateOption("until", values.until, true);
+      }
+      writeReports(store, { format, ...scope });
+      break;
     }
 
-    const totalProcessed =
-      added.length + alreadyExists.length + notFound.length + errorLines.length;
-
-    console.log("\n" + "=".repeat(70));
-    console.log(
-      `Total: ${totalProcessed} | Added: ${added.length} | Already Exists: ${alreadyExists.length} | Not Found: ${notFound.length}`
-    );
-    // console.log("=".repeat(70));
-
-    const reportPath = join(__dirname, "report.txt");
-    const reportContent = `Oliver Library Upload Report
-Generated: ${new Date().toLocaleString()}
-
-SUMMARY:
-- Total ISBNs Processed: ${totalProcessed}
-- Added: ${added.length}
-- Already Exists: ${alreadyExists.length}
-- Not Found: ${notFound.length}
-- Errors: ${errorLines.length}
-
-ADDED (${added.length}):
-${added.join("\n") || "None"}
+    case "batches":
+      printBatches(store);
+      break;
 
-ALREADY EXISTS (${alreadyExists.length}):
-${alreadyExists.join("\n") || "None"}
+    case "credentials": {
+      const action = operands[0];
+      if (!CREDENTIAL_ACTIONS.includes(action)) {
+        usageError(
+          `credentials needs one of: ${CREDENTIAL_ACTIONS.join(", ")}`
+        );
+      }
 
-NOT FOUND (${notFound.length}):
-${notFound.join("\n") || "None"}
+      if (action === "clear") {
+        if (!existsSync(dataFiles.credentials)) {
+          console.log("No saved credential file");
+          break;
+        }
+        rmSync(dataFiles.credentials);
+        console.log(`Deleted ${dataFiles.credentials}`);
+        break;
+      }
 
-${
-  errorLines.length > 0
-    ? `ERRORS (${errorLines.length}):\n${errorLines.join("\n")}`
-    : ""
-}
-`;
-
-    writeFileSync(reportPath, reportContent);
-    console.log(`\n📄 Report saved to: ${reportPath}`);
-    console.log("\nResult files:");
-    console.log(`  - Queue: ${QUEUE_FILE}`);
-    console.log(`  - Added: ${ADDED_FILE}`);
-    console.log(`  - Already Exists: ${ALREADY_EXISTS_FILE}`);
-    console.log(`  - Not Found: ${NOT_FOUND_FILE}`);
-    console.log(`  - Errors: ${ERRORS_FILE}`);
-    if (browser) {
-      await browser.close();
-    }
-  } catch (error) {
-    console.error("Error during automation:", error.message);
-    console.error("Stack trace:", error.stack);
-    if (browser) {
-      await browser.close();
+      try {
+        const filePath = await saveCredentialFile(
+          dataFiles.credentials,
+          credentials
+        );
+        console.log(`Credentials saved (encrypted) to: ${filePath}`);
+        console.log(
+          "You can now remove the password from .env. Set OLIVER_CREDENTIALS_PASSPHRASE to run unattended."
+        );
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
     }
-    process.exit(1);
   }
 }
 
-const input = process.argv[2];
-
-if (!input) {
-  console.error("Error: Please provide an ISBN or file path");
-  console.error("Usage:");
-  console.error("  Single ISBN:  node index.js 9780545139700");
-  console.error("  File:         node index.js isbns.txt");
-  console.error("  File:         node index.js isbns.csv");
-  process.exit(1);
-}
-
-let isbns = [];
-
-if (existsSync(input)) {
-  console.log(`Reading ISBNs from file: ${input}`);
-  const content = readFileSync(input, "utf-8");
-
-  isbns = content
-    .split(/[\n,;]+/)
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0 && !line.startsWith("#"));
-
-  console.log(`Found ${isbns.length} ISBNs in file`);
-} else {
-  isbns = [input];
-}
-
-runOliverAutomation(isbns);
+await main(process.argv.slice(2));
@@ -0,0 +1,734 @@
+import { EventEmitter } from "node:events";
+import { writeFileSync } from "node:fs";
+import { join, relative } from "node:path";
+import { launchBrowser, OliverClient } from "./client.js";
+import { validateIsbns } from "./input.js";
+import { normalizeIsbn } from "./isbn.js";
+import { log, withLogContext } from "./logger.js";
+import {
+  classifyFailure,
+  DEFAULT_RETRY_POLICY,
+  scheduleRetry,
+} from "./retry.js";
+import { reviewerName, reviewResult } from "./review.js";
+import { createSharedSession, formatAge, savedSessionAge } from "./session.js";
+import { ERROR_STATUSES, FINAL_STATUSES } from "./state-store.js";
+import { resolveTimingProfile } from "./timing.js";
+
+// Works through the queue in a StateStore with one or more OliverClients
+// sharing a browser and a login, recording each result and retrying the
+// transient failures (see scheduleRetry). Lookup-only runs search the given
+// ISBNs (or the queue) without saving or recording anything, and scan() takes
+// ISBNs one at a time as they are scanned.
+//
+// Every ERROR/UNKNOWN/SAVE_FAILED result gets a screenshot, the page HTML and
+// a details file in artifacts/<run ID>/ (see captureArtifacts), and with
+// trace set the whole run is recorded as a Playwright trace there too.
+//
+// With keepAliveMs set, Oliver is pinged whenever the shared session hasn't
+// been used for that long, for as long as the browser is open (see
+// lib/session.js).
+//
+// Events:
+//   "start"    { runId, queue }
+//   "progress" { isbn, tag, isRetry, processed, total, remaining }
+//   "result"   the result of each attempt, as recorded in the state store
+//   "retry"    { isbn, category, delayMs }
+//   "parked"   { isbn, category, attempts }
+//   "ready"    Smart Cataloguing is open and scanning can start (scan only)
+//   "scanned"  { raw, isbn, status, result, alreadyProcessed } (scan only)
+//   "paused", "resumed", "stopping"
+//   "done"     { runId, results, stopped }
+//
+// pause() and stop() take effect between ISBNs: anything being searched or
+// saved is finished first, and a stopped run leaves the rest in the queue.
+export class BatchRunner extends EventEmitter {
+  constructor({
+    site,
+    credentials,
+    store,
+    headless = true,
+    concurrency = 1,
+    limit = Infinity,
+    lookupOnly = false,
+    review = false,
+    reviewMatches = false,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    label = null,
+    trace = false,
+    keepAliveMs = null,
+  }) {
+    super();
+    this.site = site;
+    this.credentials = credentials;
+    this.store = store;
+    this.headless = headless;
+    this.concurrency = concurrency;
+    this.limit = limit;
+    this.lookupOnly = lookupOnly;
+    this.review = review;
+    this.reviewMatches = reviewMatches;
+    this.retryPolicy = retryPolicy;
+    // Names the batch in reports, e.g. the input file; each run() is one
+    // batch, identified by its run ID
+    this.label = label;
+    this.trace = trace;
+    this.keepAliveMs = keepAliveMs;
+    this.keepAliveTimer = null;
+    this.pinging = false;
+    this.runId = null;
+    this.browser = null;
+    this.session = null;
+    this.clients = [];
+    this.paused = false;
+    this.stopping = false;
+    this.resumeWaiters = [];
+  }
+
+  // Launches the browser up front. Until close(), every run() then reuses it
+  // and its logged-in tabs instead of starting a new browser each time.
+  async open() {
+    if (this.browser) {
+      return this;
+    }
+
+    if (this.headless) {
+      log.info("Running in headless mode (browser will not be visible)");
+    } else {
+      log.info(
+        "Running with visible browser (use --headless to run headlessly)"
+      );
+    }
+    this.browser = await launchBrowser(
+      this.headless,
+      resolveTimingProfile(this.site.timing)
+    );
+    this.session = createSharedSession();
+
+    const sessionAge = savedSessionAge(this.store.dataFiles.session);
+    if (sessionAge !== null) {
+      log.info(
+        `Found saved session from ${formatAge(sessionAge)} ago, loading...`
+      );
+    } else {
+      log.info("No saved session found");
+    }
+
+    if (this.keepAliveMs) {
+      // Checked every minute at most, so a long keep-alive isn't overshot
+      this.keepAliveTimer = setInterval(
+        () => this.keepSessionAlive(),
+        Math.min(this.keepAliveMs, 60 * 1000)
+      );
+      this.keepAliveTimer.unref();
+    }
+    return this;
+  }
+
+  async close() {
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    const { browser } = this;
+    this.browser = null;
+    this.session = null;
+    this.clients = [];
+    await browser?.close();
+  }
+
+  // Pings Oliver through the first tab (they all share the login) if the
+  // session has gone unused for keepAliveMs
+  async keepSessionAlive() {
+    const client = this.clients[0];
+    const { session } = this;
+    if (
+      !client?.context ||
+      !session ||
+      this.pinging ||
+      Date.now() - session.lastUsedAt < this.keepAliveMs
+    ) {
+      return;
+    }
+    this.pinging = true;
+    try {
+      await withLogContext({ worker: client.worker }, () =>
+        client.pingSession()
+      );
+    } finally {
+      this.pinging = false;
+    }
+  }
+
+  // Opens tabs until there are count of them, sharing the browser and login
+  async openClients(count) {
+    while (this.clients.length < count) {
+      const client = new OliverClient({
+        site: this.site,
+        credentials: this.credentials,
+        sessionFile: this.store.dataFiles.session,
+        browser: this.browser,
+        session: this.session,
+      });
+      this.clients.push(await client.open());
+    }
+    const clients = this.clients.slice(0, count);
+    clients.forEach((client, index) => {
+      client.worker = count > 1 ? index + 1 : null;
+      client.tag = client.worker ? ` [worker ${client.worker}]` : "";
+    });
+    return clients;
+  }
+
+  // Opens Smart Cataloguing in each tab, dropping those that can't reach it
+  async prepareClients(clients) {
+    log.info("Preparing Smart Cataloguing session...");
+    const ready = [];
+    for (const client of clients) {
+      const reached = await withLogContext({ worker: client.worker }, () =>
+        client.openSmartCataloguing()
+      );
+      if (reached) {
+        ready.push(client);
+      } else {
+        log.warn(
+          `❌ Unable to reach Smart Cataloguing interface${client.tag} (stuck on page state: ${client.pageState})`
+        );
+        this.clients = this.clients.filter((other) => other !== client);
+        await client.close();
+      }
+    }
+    return ready;
+  }
+
+  // Where this run's failure screenshots, page HTML and traces are saved
+  get artifactDir() {
+    return join(this.store.dataFiles.artifacts, this.runId);
+  }
+
+  // Starts once the clients are logged in (see prepareClients), so the
+  // password isn't in the trace
+  async startTraces(clients) {
+    if (!this.trace) {
+      return;
+    }
+    for (const [index, client] of clients.entries()) {
+      const name =
+        clients.length > 1 ? `trace-worker-${index + 1}.zip` : "trace.zip";
+      await client.startTrace(join(this.artifactDir, name));
+    }
+  }
+
+  async stopTraces(clients) {
+    for (const client of clients) {
+      for (const filePath of await client.stopTrace()) {
+        log.info(`🧭 Playwright trace saved to: ${filePath}`);
+      }
+    }
+  }
+
+  // Saves what the tab showed when an ISBN failed. Resolves to the saved
+  // files, relative to the data folder, or null if nothing could be saved.
+  async captureArtifacts(client, result) {
+    const name = `${result.isbn}-attempt-${result.attempts}`;
+    const captured = await client.captureFailure(join(this.artifactDir, name));
+    if (!captured) {
+      return null;
+    }
+
+    const details = join(this.artifactDir, `${name}.txt`);
+    writeFileSync(
+      details,
+      [
+        `ISBN: ${result.isbn}`,
+        `Status: ${result.status}`,
+        `Error: ${result.error || "(none)"}`,
+        `Status message on the page: ${captured.statusMessage || "(none)"}`,
+        `Page address: ${captured.url}`,
+        `Run ID: ${result.runId}`,
+        `Captured: ${result.finishedAt}`,
+      ].join("\n") + "\n"
+    );
+
+    const fromDataDir = (filePath) =>
+      filePath && relative(this.store.dataFiles.dir, filePath);
+    log.info(`   📸 Saved what the page showed to ${this.artifactDir}`);
+    return {
+      screenshot: fromDataDir(captured.screenshot),
+      html: fromDataDir(captured.html),
+      details: fromDataDir(details),
+      statusMessage: captured.statusMessage,
+    };
+  }
+
+  pause() {
+    if (this.paused || this.stopping) {
+      return;
+    }
+    this.paused = true;
+    log.info("\n⏸️  Pausing after the ISBNs in progress...");
+    this.emit("paused");
+  }
+
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.paused = false;
+    log.info("\n▶️  Resuming...");
+    for (const wake of this.resumeWaiters.splice(0)) {
+      wake();
+    }
+    this.emit("resumed");
+  }
+
+  stop() {
+    if (this.stopping) {
+      return;
+    }
+    log.info("\n⏹️  Stopping after the ISBNs in progress...");
+    this.stopping = true;
+    this.resume();
+    this.emit("stopping");
+  }
+
+  // Waits between ISBNs while paused; false once the run should stop
+  async shouldContinue() {
+    if (this.paused) {
+      await new Promise((wake) => this.resumeWaiters.push(wake));
+    }
+    return !this.stopping;
+  }
+
+  // Sleeps until a retry is due, waking early if the run is stopped
+  waitUntil(time) {
+    return new Promise((wake) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.off("stopping", done);
+        wake();
+      };
+      const timer = setTimeout(done, Math.max(time - Date.now(), 0));
+      this.once("stopping", done);
+    });
+  }
+
+  // Queues the ISBNs (already validated, see validateIsbns) and processes the
+  // queue. Resolves to { runId, results, completed, stopped }; completed is
+  // false if there was nothing to do or Smart Cataloguing couldn't be reached.
+  async run(isbns = []) {
+    const { store, lookupOnly, limit } = this;
+
+    // Lookup-only previews the given ISBNs (or the current queue) and leaves
+    // the queue untouched; normal runs add the input to the queue first
+    let queue;
+    if (lookupOnly) {
+      queue = isbns.length > 0 ? isbns : store.getQueue();
+      log.info(
+        "\n🔎 Lookup-only mode: nothing will be saved to the catalogue or recorded as processed"
+      );
+      log.info(`Total ISBNs to look up: ${queue.length}`);
+    } else {
+      queue = store.initializeQueue(isbns);
+    }
+    this.runId = new Date().toISOString().replace(/[:.]/g, "-");
+    const { runId } = this;
+    log.info(`Run ID: ${runId}`);
+    if (!lookupOnly) {
+      log.info(`\nTotal ISBNs in queue: ${queue.length}`);
+    }
+
+    // Skip processing if queue is empty
+    if (queue.length === 0) {
+      log.info("\n✅ No ISBNs to process. Exiting.");
+      return { runId, results: [], completed: false };
+    }
+
+    if (limit < queue.length) {
+      log.info(`Processing at most ${limit} ISBN(s) this run (--limit)`);
+    }
+    this.emit("start", { runId, queue });
+
+    const keepOpen = this.browser !== null;
+    await this.open();
+
+    const totalToProcess = Math.min(queue.length, limit);
+    const workerCount = Math.min(this.concurrency, totalToProcess);
+    if (workerCount > 1) {
+      log.info(`Using ${workerCount} workers (--concurrency)`);
+    }
+
+    let clients = [];
+    try {
+      clients = await this.openClients(workerCount);
+      const ready = await this.prepareClients(clients);
+      if (ready.length === 0) {
+        return { runId, results: [], completed: false };
+      }
+      await this.startTraces(ready);
+
+      const results = [];
+      const attempted = new Set();
+      let processed = 0;
+      let lookupIndex = 0;
+
+      // Retries don't count towards --limit
+      const canClaim = (isbn) => attempted.has(isbn) || processed < limit;
+
+      // Claiming is synchronous, so workers never take the same ISBN
+      const claimNext = () => {
+        if (lookupOnly) {
+          return processed < limit ? queue[lookupIndex++] || null : null;
+        }
+        return store.claimNext(runId, canClaim);
+      };
+
+      const runWorker = async (client) => {
+        while (await this.shouldContinue()) {
+          const isbn = claimNext();
+          if (!isbn) {
+            // Wait for ISBNs that are backing off before a retry
+            const retryAt = lookupOnly ? null : store.nextRetryTime(canClaim);
+            if (retryAt === null) {
+              break;
+            }
+            await this.waitUntil(retryAt);
+            continue;
+          }
+
+          const isRetry = attempted.has(isbn);
+          if (!isRetry) {
+            attempted.add(isbn);
+            processed++;
+          }
+          const remaining = lookupOnly
+            ? queue.length - lookupIndex
+            : store.getQueue().length;
+          log.info(
+            isRetry
+              ? `\nRetrying: ${isbn} (${remaining} remaining in queue)`
+              : `\nProgress: ${processed}/${totalToProcess} (${remaining} remaining in queue)`
+          );
+          this.emit("progress", {
+            isbn,
+            tag: client.tag,
+            isRetry,
+            processed,
+            total: totalToProcess,
+            remaining,
+          });
+
+          // Skip navigation since we're already on Smart Cataloguing page,
+          // unless this is a retry after something went wrong
+          const result = await withLogContext({ isbn }, () =>
+            this.processIsbn(client, isbn, !isRetry)
+          );
+          results.push(result);
+
+          if (!lookupOnly && result.errorCategory) {
+            const delayMs = scheduleRetry(store, result, this.retryPolicy);
+            const attempts = store.get(isbn).results.length;
+            if (delayMs !== null) {
+              log.warn(
+                `   ↻ ${isbn}: ${result.errorCategory}, retrying in ${
+                  delayMs / 1000
+                }s`
+              );
+              this.emit("retry", {
+                isbn,
+                category: result.errorCategory,
+                delayMs,
+              });
+            } else {
+              log.warn(
+                `   ⏸️  ${isbn}: ${result.errorCategory}, parked after ${attempts} attempt(s)`
+              );
+              this.emit("parked", {
+                isbn,
+                category: result.errorCategory,
+                attempts,
+              });
+            }
+          }
+        }
+      };
+
+      await Promise.all(
+        ready.map((client) =>
+          withLogContext({ runId, worker: client.worker }, () =>
+            runWorker(client)
+          )
+        )
+      );
+
+      const stopped = this.stopping;
+      if (stopped) {
+        log.info(
+          `\n⏹️  Stopped; ${store.getQueue().length} ISBN(s) left in the queue`
+        );
+      }
+      this.emit("done", { runId, results, stopped });
+      return { runId, results, completed: true, stopped };
+    } finally {
+      await this.stopTraces(clients);
+      if (!keepOpen) {
+        await this.close();
+      }
+    }
+  }
+
+  // Scan mode: searches and saves each ISBN as soon as it is read from lines
+  // (an async iterable such as a readline interface on a barcode scanner),
+  // keeping one tab on Smart Cataloguing. Transient failures are retried
+  // before the next line is read, so every book has its answer before the
+  // next one is scanned. Resolves like run().
+  async scan(lines) {
+    const { store } = this;
+    this.runId = new Date().toISOString().replace(/[:.]/g, "-");
+    const { runId } = this;
+    log.info(`Run ID: ${runId}`);
+    this.emit("start", { runId, queue: [] });
+
+    const keepOpen = this.browser !== null;
+    await this.open();
+    let clients = [];
+    try {
+      clients = await this.openClients(1);
+      const [client] = await this.prepareClients(clients);
+      if (!client) {
+        return { runId, results: [], completed: false };
+      }
+      await this.startTraces([client]);
+      this.emit("ready");
+
+      const results = [];
+      for await (const line of lines) {
+        if (!(await this.shouldContinue())) {
+          break;
+        }
+        const raw = line.trim();
+        if (!raw) {
+          continue;
+        }
+
+        const { isbn, error } = normalizeIsbn(raw);
+        if (!isbn) {
+          validateIsbns([raw], { invalidFile: store.dataFiles.invalid });
+          this.emit("scanned", { raw, isbn: null, status: "INVALID", error });
+          continue;
+        }
+
+        // A second copy of a book, or one scanned twice by mistake
+        const previous = store.get(isbn);
+        if (FINAL_STATUSES.has(previous?.state)) {
+          this.emit("scanned", {
+            raw,
+            isbn,
+            status: previous.state,
+            result: previous.results.at(-1),
+            alreadyProcessed: true,
+          });
+          continue;
+        }
+
+        let result;
+        let isRetry = false;
+        for (;;) {
+          store.claim(isbn, runId);
+          result = await withLogContext({ runId, isbn }, () =>
+            this.processIsbn(client, isbn, !isRetry)
+          );
+          results.push(result);
+          if (!result.errorCategory) {
+            break;
+          }
+
+          const delayMs = scheduleRetry(store, result, this.retryPolicy);
+          if (delayMs === null) {
+            const attempts = store.get(isbn).results.length;
+            log.warn(
+              `   ⏸️  ${isbn}: ${result.errorCategory}, parked after ${attempts} attempt(s)`
+            );
+            this.emit("parked", {
+              isbn,
+              category: result.errorCategory,
+              attempts,
+            });
+            break;
+          }
+          log.warn(
+            `   ↻ ${isbn}: ${result.errorCategory}, retrying in ${
+              delayMs / 1000
+            }s`
+          );
+          this.emit("retry", { isbn, category: result.errorCategory, delayMs });
+          await this.waitUntil(Date.now() + delayMs);
+          if (this.stopping) {
+            break;
+          }
+          isRetry = true;
+        }
+
+        this.emit("scanned", { raw, isbn, status: result.status, result });
+      }
+
+      const stopped = this.stopping;
+      this.emit("done", { runId, results, stopped });
+      return { runId, results, completed: true, stopped };
+    } finally {
+      await this.stopTraces(clients);
+      if (!keepOpen) {
+        await this.close();
+      }
+    }
+  }
+
+  // Searches for one ISBN and saves it if it isn't catalogued yet, asking
+  // the operator first in review mode. The caller has already claimed it
+  // (see StateStore.claimNext).
+  async processIsbn(client, isbn, skipNavigation = false) {
+    const { lookupOnly, review, reviewMatches, store } = this;
+
+    log.info(`\n${"=".repeat(50)}`);
+    log.info(
+      `${lookupOnly ? "Looking up" : "Processing"} ISBN: ${isbn}${client.tag}`
+    );
+    log.info("=".repeat(50));
+
+    const startedAt = new Date();
+    // Time from before this ISBN (opening Smart Cataloguing) isn't its own
+    client.takeTimings();
+    let statusText = "";
+    let matchedRecord = null;
+    let reviewDecision = null;
+
+    const finish = async (status, error = null) => {
+      const finishedAt = new Date();
+      const result = {
+        isbn,
+        status,
+        statusMessage: statusText,
+        error,
+        errorCategory: classifyFailure(status, error),
+        record: matchedRecord,
+        review: reviewDecision,
+        attempts: lookupOnly ? 1 : store.nextAttempt(isbn),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        timings: client.takeTimings(),
+        runId: this.runId,
+        batchLabel: this.label,
+        artifacts: null,
+      };
+      if (ERROR_STATUSES.includes(status)) {
+        result.artifacts = await this.captureArtifacts(client, result);
+      }
+      if (!lookupOnly) {
+        store.recordResult(result);
+      }
+      if (client.tag) {
+        // Output from several workers is interleaved, so name the ISBN again
+        log.info(`   → ${isbn}${client.tag}: ${status}`);
+      } else {
+        log.debug(`   → Result: ${status}${error ? ` (${error})` : ""}`);
+      }
+      this.emit("result", result);
+      return result;
+    };
+
+    // Asks the operator what to do; returns a finished result, or null to
+    // search again
+    const askOperator = async (reason, canSave) => {
+      const decision = await reviewResult(isbn, {
+        reason,
+        statusText,
+        record: matchedRecord,
+        canSave,
+      });
+      if (decision === "retry") {
+        log.info("   → Searching again...");
+        return null;
+      }
+
+      reviewDecision = {
+        decision,
+        reviewer: reviewerName(),
+        reviewedAt: new Date().toISOString(),
+      };
+      log.info(
+        `   → Decision recorded: ${decision} (${reviewDecision.reviewer})`
+      );
+
+      if (decision === "save") {
+        const saved = await client.save(isbn);
+        return finish(saved.status, saved.error);
+      }
+      if (decision === "not-found") {
+        return finish("NOT_FOUND");
+      }
+      return finish("UNKNOWN", `Skipped in review: ${reason}`);
+    };
+
+    try {
+      // Only navigate if it's the first ISBN or if explicitly requested
+      if (!skipNavigation) {
+        const navSuccess = await client.openSmartCataloguing();
+        if (!navSuccess) {
+          log.warn("❌ Failed to navigate to Smart Cataloguing page");
+          return finish(
+            "ERROR",
+            `Navigation failed (stuck on page state: ${client.pageState})`
+          );
+        }
+      }
+
+      // Repeats only when the operator chooses "Retry search" in review mode
+      for (;;) {
+        const found = await client.lookup(isbn);
+        statusText = found.statusMessage;
+        matchedRecord = found.record;
+
+        if (found.status === "WOULD_ADD") {
+          if (lookupOnly) {
+            log.info("➕ Resource found and not yet catalogued (not saved)");
+            return finish("WOULD_ADD");
+          }
+
+          if (reviewMatches) {
+            const reviewed = await askOperator("Match found", true);
+            if (reviewed) {
+              return reviewed;
+            }
+            continue;
+          }
+
+          log.info("✅ Resource found and not yet catalogued, saving...");
+          const saved = await client.save(isbn);
+          return finish(saved.status, saved.error);
+        }
+
+        if (found.status === "UNKNOWN" && review) {
+          const reviewed = await askOperator(
+            found.error === "No status message"
+              ? "Unrecognised status message"
+              : found.error,
+            found.canSave
+          );
+          if (reviewed) {
+            return reviewed;
+          }
+          continue;
+        }
+
+        return finish(found.status, found.error);
+      }
+    } catch (error) {
+      log.error(`❌ Error processing ISBN ${isbn}: ${error.message}`);
+      if (client.page?.isClosed?.()) {
+        log.warn(
+          "   → Page closed unexpectedly; it will be recreated on the next iteration."
+        );
+      }
+      return finish("ERROR", error.message);
+    }
+  }
+}
@@ -0,0 +1,1201 @@
+import { existsSync, mkdirSync, statSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { chromium } from "playwright";
+import { log } from "./logger.js";
+import { detectPageState, PAGE_STATES } from "./page-state.js";
+import { formatMatchedRecord, RECORD_FIELD_PATTERNS } from "./records.js";
+import {
+  createSharedSession,
+  expiryReason,
+  markSessionExpired,
+} from "./session.js";
+import { siteUrl } from "./site.js";
+import { resolveTimingProfile, timeStep } from "./timing.js";
+
+export function launchBrowser(
+  headless = true,
+  timing = resolveTimingProfile()
+) {
+  return chromium.launch({
+    headless,
+    slowMo: headless ? 0 : timing.slowMoMs, // No slowMo in headless mode for better performance
+  });
+}
+
+// How long to wait for something on the page, scaled by the timing profile
+function timeoutFor(client, ms) {
+  return Math.round(ms * client.timing.timeoutScale);
+}
+
+// A short pause once the page has changed, for slow servers (none when fast)
+async function settle(client) {
+  if (client.timing.settleMs > 0) {
+    await client.page.waitForTimeout(client.timing.settleMs);
+  }
+}
+
+// Keeps count of the XHR/fetch requests the page makes from now on, so a
+// step can wait for the ones it started (the search or save) to finish
+function trackRequests(page) {
+  const pending = new Set();
+  const onRequest = (request) => {
+    if (["xhr", "fetch"].includes(request.resourceType())) {
+      pending.add(request);
+    }
+  };
+  const onDone = (request) => pending.delete(request);
+  page.on("request", onRequest);
+  page.on("requestfinished", onDone);
+  page.on("requestfailed", onDone);
+
+  return {
+    // Resolves once they have all finished, or after timeout ms regardless
+    // (e.g. background polling that never stops)
+    async idle(timeout) {
+      const giveUpAt = Date.now() + timeout;
+      while (pending.size > 0 && Date.now() < giveUpAt && !page.isClosed()) {
+        await page.waitForTimeout(50);
+      }
+    },
+    stop() {
+      page.off("request", onRequest);
+      page.off("requestfinished", onDone);
+      page.off("requestfailed", onDone);
+    },
+  };
+}
+
+// Clicks OK on an Oliver modal and waits for it to close
+async function dismissModal(client) {
+  const okButton = await client.page.$(client.site.selectors.modalOk);
+  if (!okButton) {
+    return false;
+  }
+  await okButton.click();
+  await client.page
+    .waitForSelector(client.site.selectors.modal, {
+      state: "hidden",
+      timeout: timeoutFor(client, 5000),
+    })
+    .catch(() => {});
+  log.info("   → Modal dismissed");
+  return true;
+}
+
+// Track pages that already have event handlers registered
+const pagesWithHandlers = new WeakSet();
+
+function registerPageEventHandlers(targetPage) {
+  if (!targetPage) {
+    return;
+  }
+
+  // Prevent duplicate handler registration
+  if (pagesWithHandlers.has(targetPage)) {
+    return;
+  }
+
+  targetPage.on("dialog", async (dialog) => {
+    const message = dialog.message();
+    const type = dialog.type();
+    log.info(`   → Dialog appeared [${type}]: "${message}" (auto-accept)`);
+    try {
+      await dialog.accept();
+      log.info(`   → Dialog accepted successfully`);
+    } catch (error) {
+      // Dialog may already be handled by another event listener
+      if (!error.message.includes("already handled")) {
+        log.warn(`   → Failed to accept dialog: ${error.message}`);
+      }
+    }
+  });
+
+  pagesWithHandlers.add(targetPage);
+}
+
+async function gotoAndWait(client, url, options = {}) {
+  if (!client.page || client.page.isClosed()) {
+    await ensurePage(client);
+  }
+  const mergedOptions = { waitUntil: "domcontentloaded", ...options };
+  const targetPath = new URL(url).pathname;
+
+  log.debug(`   → Navigating to: ${targetPath}`);
+
+  try {
+    await client.page.goto(url, mergedOptions);
+  } catch (error) {
+    if (error.message?.includes("ERR_ABORTED")) {
+      const currentUrl = client.page.url();
+      if (currentUrl.includes(targetPath)) {
+        log.info(
+          `   → Navigation to ${targetPath} interrupted by redirect; continuing.`
+        );
+        await client.page
+          .waitForLoadState("domcontentloaded", {
+            timeout: timeoutFor(client, 15000),
+          })
+          .catch(() => {});
+        await settle(client);
+        return;
+      }
+    }
+    throw error;
+  }
+
+  await settle(client);
+  log.debug(`   → Navigation to ${targetPath} completed`);
+}
+
+async function ensurePage(client) {
+  if (!client.context) {
+    throw new Error("Browser context is not initialised");
+  }
+
+  if (!client.page || client.page.isClosed()) {
+    if (client.page?.isClosed()) {
+      log.info("   → Current browser tab was closed, opening a new one...");
+    } else {
+      log.info("   → Opening browser tab...");
+    }
+
+    client.page = await client.context.newPage();
+    registerPageEventHandlers(client.page);
+  }
+
+  return client.page;
+}
+
+// True once Oliver has ended the login this client is using (see
+// markSessionExpired)
+function sessionExpired(client) {
+  return client.sessionGeneration <= client.session.expiredGeneration;
+}
+
+// Marks the session expired if an Oliver page or request shows it has ended
+function checkResponseForExpiry(client, response) {
+  const request = response.request();
+  if (!["document", "xhr", "fetch"].includes(request.resourceType())) {
+    return;
+  }
+  client.session.lastUsedAt = Date.now();
+  const reason = expiryReason(
+    {
+      url: response.url(),
+      status: response.status(),
+      requestedUrl: request.redirectedFrom()?.url(),
+    },
+    client.site
+  );
+  if (reason) {
+    markSessionExpired(client.session, client.sessionGeneration, reason);
+  }
+}
+
+function login(client) {
+  const attempt = client.session.pending.then(() =>
+    loginOrReuseSession(client)
+  );
+  client.session.pending = attempt.catch(() => {});
+  return timeStep(client, "login", () => attempt);
+}
+
+async function loginOrReuseSession(client) {
+  if (client.sessionGeneration < client.session.generation) {
+    log.info(`   → Reusing the login from another worker${client.tag}...`);
+    await client.context.addCookies(client.session.cookies);
+    client.sessionGeneration = client.session.generation;
+    await gotoAndWait(client, siteUrl(client.site, "home"));
+    const loggedIn = await client.page
+      .isVisible(client.site.selectors.logout)
+      .catch(() => false);
+    if (loggedIn) {
+      return true;
+    }
+    log.info("   → Shared login is no longer valid, logging in again...");
+  }
+
+  const success = await loginThroughPopup(client);
+  if (success) {
+    client.session.loggedInAt = Date.now();
+    client.session.generation++;
+    client.session.cookies = await client.context.cookies();
+    client.sessionGeneration = client.session.generation;
+  }
+  return success;
+}
+
+function requireCredentials(client) {
+  if (!client.credentials.username || !client.credentials.password) {
+    throw new Error(
+      "No Oliver username and password to log in with (see resolveCredentials)"
+    );
+  }
+}
+
+// Logs in with the trace paused, so it doesn't record the password being
+// typed or sent
+async function loginThroughPopup(client) {
+  requireCredentials(client);
+  const paused = await client.pauseTrace();
+  try {
+    return await loginThroughDialog(client);
+  } finally {
+    if (paused) {
+      // A failed login can leave the password in the dialog
+      await client.page
+        ?.fill(client.site.selectors.loginPassword, "", { timeout: 1000 })
+        .catch(() => {});
+      await client.resumeTrace();
+    }
+  }
+}
+
+async function loginThroughDialog(client) {
+  await ensurePage(client);
+
+  let loginLink = client.page.locator(client.site.selectors.loginLink);
+  let loginVisible = await loginLink.isVisible().catch(() => false);
+
+  if (!loginVisible) {
+    log.info("   → Login link not visible, navigating to home page...");
+    await gotoAndWait(client, siteUrl(client.site, "home"));
+    loginLink = client.page.locator(client.site.selectors.loginLink);
+    loginVisible = await loginLink.isVisible().catch(() => false);
+  }
+
+  if (!loginVisible) {
+    // Nothing to do if Oliver hadn't actually ended the session
+    const loggedIn = await client.page
+      .isVisible(client.site.selectors.logout)
+      .catch(() => false);
+    if (loggedIn) {
+      log.info("   → Already logged in.");
+      return true;
+    }
+    log.warn("   → Login link still unavailable after navigating home.");
+    return false;
+  }
+
+  const maxLoginDialogAttempts = 3;
+  let submittedCredentials = false;
+
+  for (let attempt = 1; attempt <= maxLoginDialogAttempts; attempt++) {
+    if (attempt > 1) {
+      log.info(
+        `   → Login dialog retry (${attempt}/${maxLoginDialogAttempts})...`
+      );
+    }
+
+    log.info("   → Opening login dialog...");
+    await loginLink.first().click();
+
+    const loginFormReady = await client.page
+      .waitForSelector(client.site.selectors.loginUsername, {
+        timeout: timeoutFor(client, 8000),
+      })
+      .catch(() => null);
+
+    if (!loginFormReady) {
+      log.warn("   → Login form did not appear, closing dialog...");
+      await client.page.keyboard.press("Escape").catch(() => {});
+      await client.page
+        .waitForSelector(client.site.selectors.loginUsername, {
+          state: "hidden",
+          timeout: timeoutFor(client, 5000),
+        })
+        .catch(() => {});
+      loginLink = client.page.locator(client.site.selectors.loginLink);
+      const stillVisible = await loginLink.isVisible().catch(() => false);
+      if (!stillVisible) {
+        await gotoAndWait(client, siteUrl(client.site, "home"));
+        loginLink = client.page.locator(client.site.selectors.loginLink);
+      }
+      continue;
+    }
+
+    await client.page.fill(
+      client.site.selectors.loginUsername,
+      client.credentials.username
+    );
+    await client.page.fill(
+      client.site.selectors.loginPassword,
+      client.credentials.password
+    );
+    log.info("   → Submitting login credentials...");
+    await client.page.click(client.site.selectors.loginSubmit);
+    submittedCredentials = true;
+    break;
+  }
+
+  if (!submittedCredentials) {
+    log.warn("   → Failed to submit credentials; login aborted.");
+    return false;
+  }
+
+  log.info("   → Waiting for page to settle after login...");
+  try {
+    await client.page.waitForLoadState("load", {
+      timeout: timeoutFor(client, 10000),
+    });
+    log.info("   → Page loaded.");
+  } catch (error) {
+    log.warn(`   → Page load timeout: ${error.message}`);
+  }
+
+  log.info("   → Checking login status...");
+
+  const logoutVisible = await client.page
+    .waitForSelector(client.site.selectors.logout, {
+      timeout: timeoutFor(client, 10000),
+    })
+    .then(() => true)
+    .catch(() => false);
+
+  if (!logoutVisible) {
+    log.warn("   → Login dialog completed but logout control missing.");
+    return false;
+  }
+
+  log.info("   → Login confirmed; saving session.");
+  await client.context.storageState({ path: client.sessionFile });
+  log.info("   → Session saved, login complete.");
+  return true;
+}
+
+// Getting to Smart Cataloguing
+//
+// Each step looks at where the tab is (see lib/page-state.js) and does the
+// one thing that gets it closer: log in, open Smart Cataloguing from the
+// Cataloguing menu, or go back to the welcome page. The page is checked
+// again after every step, so a session expiring or a redirect part-way is
+// dealt with on the next one. Gives up after MAX_NAVIGATION_STEPS steps or
+// MAX_FAILED_LOGINS unsuccessful logins.
+const MAX_NAVIGATION_STEPS = 10;
+const MAX_FAILED_LOGINS = 3;
+
+// Pages that build their menu or form after loading, and what to wait for
+// before deciding where we are
+function loadingSignals(site) {
+  return [
+    [site.paths.welcome, site.selectors.cataloguingMenu],
+    [site.paths.smartCataloguing, site.selectors.searchTerm],
+  ];
+}
+
+// Where the tab is once it has finished loading; also kept as
+// client.pageState so callers can report where it got stuck
+async function currentPageState(client) {
+  await client.page
+    .waitForLoadState("domcontentloaded", {
+      timeout: timeoutFor(client, 15000),
+    })
+    .catch(() => {});
+  let state = await detectPageState(client.page, client.site);
+
+  if (state === PAGE_STATES.UNKNOWN) {
+    const url = client.page.url();
+    const signal = loadingSignals(client.site).find(([path]) =>
+      url.includes(path)
+    );
+    if (signal) {
+      log.info("   → Waiting for the page to finish loading...");
+      const appeared = await client.page
+        .waitForSelector(signal[1], { timeout: timeoutFor(client, 20000) })
+        .then(() => true)
+        .catch(() => false);
+      if (appeared) {
+        state = await detectPageState(client.page, client.site);
+      }
+    }
+  }
+
+  client.pageState = state;
+  return state;
+}
+
+// Opens the Cataloguing menu on the welcome page and clicks Smart
+// Cataloguing, which may open in a new tab
+async function openFromMenu(client) {
+  await client.page.keyboard.press("Escape").catch(() => {});
+  await settle(client);
+
+  const popupPromise = client.context
+    .waitForEvent("page", { timeout: timeoutFor(client, 4000) })
+    .catch(() => null);
+
+  for (let click = 1; click <= 3; click++) {
+    try {
+      log.info("   → Clicking Cataloguing menu to open dropdown...");
+      await client.page
+        .locator(client.site.selectors.cataloguingMenu)
+        .click({ timeout: timeoutFor(client, 5000) });
+      break;
+    } catch (error) {
+      if (click === 3) {
+        throw error;
+      }
+      log.warn(
+        `   → Cataloguing header click blocked (attempt ${click}), retrying after clearing overlays...`
+      );
+      await client.page.keyboard.press("Escape").catch(() => {});
+      await settle(client);
+    }
+  }
+
+  log.info("   → Waiting for Smart Cataloguing menu item to appear...");
+  await client.page
+    .locator(
+      `${client.site.selectors.smartCataloguingMenuItem} >> visible=true`
+    )
+    .first()
+    .waitFor({ timeout: timeoutFor(client, 5000) })
+    .catch(() => {});
+
+  // There are often 2 elements with this ID - one hidden, one visible
+  // We need to click the visible one (usually the last one)
+  const menuItems = await client.page
+    .locator(client.site.selectors.smartCataloguingMenuItem)
+    .all();
+  let visibleItem = null;
+  for (const item of menuItems) {
+    if (await item.isVisible()) {
+      visibleItem = item;
+      break;
+    }
+  }
+  if (!visibleItem) {
+    throw new Error("No visible Smart Cataloguing menu item found");
+  }
+
+  log.info("   → Clicking visible Smart Cataloguing menu item...");
+  await visibleItem.click();
+
+  const popup = await popupPromise;
+  if (popup) {
+    client.page = popup;
+    registerPageEventHandlers(client.page);
+  }
+  // Where it lands (Smart Cataloguing, a login or permission denied) is
+  // worked out by the next step
+  await client.page
+    .waitForURL(
+      (url) => url.pathname.includes(client.site.paths.smartCataloguing),
+      { waitUntil: "domcontentloaded", timeout: timeoutFor(client, 15000) }
+    )
+    .catch(() => {});
+}
+
+async function reachSmartCataloguing(client) {
+  let failedLogins = 0;
+  let state = PAGE_STATES.UNKNOWN;
+
+  // The page may still look logged in; log in first rather than finding out
+  // a step or a search later
+  if (sessionExpired(client)) {
+    requireCredentials(client);
+    log.info("   → Logging in again, as Oliver ended the session...");
+    try {
+      if (!(await login(client))) {
+        failedLogins++;
+        log.warn("   → Login attempt unsuccessful.");
+      }
+    } catch (error) {
+      log.warn(`   → Logging in again failed: ${error.message}`);
+    }
+  }
+
+  for (let step = 1; step <= MAX_NAVIGATION_STEPS; step++) {
+    await ensurePage(client);
+    state = await currentPageState(client);
+    if (state === PAGE_STATES.SMART_CATALOGUING) {
+      log.info("   → Smart Cataloguing is ready");
+      return true;
+    }
+    if (failedLogins >= MAX_FAILED_LOGINS) {
+      break;
+    }
+
+    const needsLogin =
+      state === PAGE_STATES.LOGGED_OUT || state === PAGE_STATES.LOGIN_DIALOG;
+    if (needsLogin) {
+      // Every further step would fail the same way
+      requireCredentials(client);
+    }
+
+    try {
+      switch (state) {
+        case PAGE_STATES.LOGGED_OUT:
+        case PAGE_STATES.LOGIN_DIALOG:
+          log.info(`   → Page state: ${state}; logging in...`);
+          if (!(await login(client))) {
+            failedLogins++;
+            log.warn("   → Login attempt unsuccessful.");
+          }
+          break;
+        case PAGE_STATES.WELCOME:
+          log.info(
+            `   → Page state: ${state}; opening Smart Cataloguing from the menu...`
+          );
+          await openFromMenu(client);
+          break;
+        case PAGE_STATES.PERMISSION_DENIED:
+          log.warn(
+            `   → Page state: ${state}; going back to the welcome page...`
+          );
+          await gotoAndWait(client, siteUrl(client.site, "welcome"));
+          break;
+        default:
+          log.info(
+            `   → Page state: ${state} (${client.page.url()}); going to the welcome page...`
+          );
+          await gotoAndWait(client, siteUrl(client.site, "welcome"));
+      }
+    } catch (error) {
+      log.warn(`   → Step from ${state} failed: ${error.message}`);
+    }
+  }
+
+  const reason =
+    failedLogins >= MAX_FAILED_LOGINS
+      ? `${failedLogins} unsuccessful logins`
+      : `${MAX_NAVIGATION_STEPS} steps`;
+  log.warn(
+    `   → Gave up reaching Smart Cataloguing after ${reason}; stuck on page state: ${state}`
+  );
+  return false;
+}
+
+async function navigateToSmartCataloguing(client) {
+  return timeStep(client, "navigation", () => reachSmartCataloguing(client));
+}
+
+// Waits until the search just started has finished: the status message has
+// changed and no longer says "Search, please wait...". Dismisses the modal
+// Oliver shows when searching away from an unsaved match. Resolves to false
+// if no answer showed in time: the text on the page is then still "please
+// wait", or the previous book's answer, and mustn't be read as this one's.
+async function waitForSearchResult(client, watching) {
+  const { selectors, messages } = client.site;
+  log.info("   → Waiting for search to finish...");
+
+  for (let modals = 0; modals <= 3; modals++) {
+    const outcome = await client.page
+      .waitForFunction(
+        ({ modal, status, searching, watching }) => {
+          const dialog = document.querySelector(modal);
+          if (dialog && dialog.getClientRects().length > 0) return "modal";
+          const element = document.querySelector(status);
+          const text = element?.innerText.trim().toLowerCase();
+          const changed = !watching || window.__oliverStatusChanged;
+          return changed && text && !text.includes(searching) ? "done" : "";
+        },
+        {
+          modal: selectors.modal,
+          status: selectors.statusMessage,
+          searching: messages.searching,
+          watching,
+        },
+        { timeout: timeoutFor(client, 12000) }
+      )
+      .then((handle) => handle.jsonValue())
+      .catch(() => null);
+
+    if (outcome === "done") {
+      return true;
+    }
+    if (outcome !== "modal") {
+      const text = await client.page
+        .innerText(selectors.statusMessage, { timeout: 1000 })
+        .catch(() => "");
+      log.warn(
+        `   → No answer to the search in time (status message: "${text.trim()}")`
+      );
+      return false;
+    }
+    log.info("   → Modal dialog appeared, dismissing...");
+    if (!(await dismissModal(client))) {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Searches for the ISBN, getting back to Smart Cataloguing first if the tab
+// has left it, and again (up to 3 searches) if the search itself lands
+// somewhere else, e.g. because the session expired. Resolves to false if
+// Smart Cataloguing can't be reached, and to null if Oliver didn't answer
+// the search in time.
+async function searchSmartCataloguing(client, isbn, attempt = 1) {
+  await ensurePage(client);
+  const before = await detectPageState(client.page, client.site);
+  if (sessionExpired(client) || before !== PAGE_STATES.SMART_CATALOGUING) {
+    log.warn(
+      sessionExpired(client)
+        ? "   → Oliver ended the session, getting back to Smart Cataloguing before searching..."
+        : `   → Not ready to search (page state: ${before}), getting back to Smart Cataloguing...`
+    );
+    if (!(await navigateToSmartCataloguing(client))) {
+      return false;
+    }
+  }
+
+  await client.page.fill(client.site.selectors.searchTerm, "");
+  await client.page.fill(client.site.selectors.searchTerm, isbn);
+
+  // Watch the status message so we can tell when this search has changed
+  // it, even when the answer is the same text as the previous search's
+  const watching = await client.page
+    .evaluate((selector) => {
+      const element = document.querySelector(selector);
+      if (!element) return false;
+      window.__oliverStatusObserver?.disconnect();
+      window.__oliverStatusChanged = false;
+      window.__oliverStatusObserver = new MutationObserver(() => {
+        window.__oliverStatusChanged = true;
+      });
+      window.__oliverStatusObserver.observe(element, {
+        childList: true,
+        characterData: true,
+        subtree: true,
+      });
+      return true;
+    }, client.site.selectors.statusMessage)
+    .catch(() => false);
+
+  const requests = trackRequests(client.page);
+  let answered;
+  try {
+    await client.page.click(client.site.selectors.searchButton);
+    answered = await waitForSearchResult(client, watching);
+    await requests.idle(timeoutFor(client, 2000));
+  } finally {
+    requests.stop();
+  }
+  await settle(client);
+
+  const state = await detectPageState(client.page, client.site);
+  client.pageState = state;
+  if (state === PAGE_STATES.SMART_CATALOGUING) {
+    return answered ? true : null;
+  }
+  log.warn(`   → Search left Smart Cataloguing (page state: ${state})`);
+  if (attempt >= 3) {
+    return false;
+  }
+  return searchSmartCataloguing(client, isbn, attempt + 1);
+}
+
+async function captureMatchedRecord(client) {
+  const pairs = await client.page
+    .evaluate((selector) => {
+      const container = document.querySelector(selector);
+      if (!container) {
+        return [];
+      }
+
+      const found = [];
+      container.querySelectorAll("dt").forEach((term) => {
+        const definition = term.nextElementSibling;
+        if (definition?.tagName === "DD") {
+          found.push([term.innerText, definition.innerText]);
+        }
+      });
+      container.querySelectorAll("tr").forEach((row) => {
+        const cells = row.querySelectorAll("th, td");
+        if (cells.length >= 2) {
+          found.push([cells[0].innerText, cells[1].innerText]);
+        }
+      });
+      container.innerText.split("\n").forEach((line) => {
+        const match = line.match(/^\s*([^:]{2,40}):\s*(.+)$/);
+        if (match) {
+          found.push([match[1], match[2]]);
+        }
+      });
+      return found;
+    }, client.site.selectors.matchedRecord)
+    .catch(() => []);
+
+  const record = {};
+  for (const [label, value] of pairs) {
+    const cleanLabel = label.trim().replace(/:$/, "");
+    const cleanValue = value.trim();
+    if (!cleanValue) {
+      continue;
+    }
+    for (const [field, pattern] of Object.entries(RECORD_FIELD_PATTERNS)) {
+      if (!record[field] && pattern.test(cleanLabel)) {
+        record[field] = cleanValue;
+      }
+    }
+  }
+
+  if (record.year) {
+    record.year = record.year.match(/\d{4}/)?.[0] || record.year;
+  }
+
+  return Object.keys(record).length > 0 ? record : null;
+}
+
+// Clicks Save, then checks the resource really made it into the catalogue:
+// the confirmation modal must not report a problem, and the Save button must
+// end up disabled - straight away, or after searching for the ISBN again.
+// The modal only counts as reporting a problem while the Save button is
+// still enabled, as a message like "0 errors" mentions errors too.
+async function saveResource(client, isbn, saveButton) {
+  const { selectors } = client.site;
+  const requests = trackRequests(client.page);
+  try {
+    await saveButton.click();
+    await requests.idle(timeoutFor(client, 8000));
+  } finally {
+    requests.stop();
+  }
+
+  // Oliver confirms (or reports a problem) in a modal; a save that worked
+  // without one leaves the Save button disabled
+  let modalText = "";
+  const outcome = await client.page
+    .waitForFunction(
+      ({ modal, save }) => {
+        const dialog = document.querySelector(modal);
+        if (dialog && dialog.getClientRects().length > 0) return "modal";
+        return document.querySelector(save)?.disabled ? "disabled" : "";
+      },
+      { modal: selectors.modal, save: selectors.saveButton },
+      { timeout: timeoutFor(client, 3000) }
+    )
+    .then((handle) => handle.jsonValue())
+    .catch(() => null);
+
+  if (outcome === "modal") {
+    const modalDialog = await client.page.$(selectors.modal);
+    modalText = (await modalDialog?.innerText().catch(() => "")) || "";
+    modalText = modalText.trim();
+    log.info(
+      `   → Save confirmation modal appeared${
+        modalText ? `: "${modalText}"` : ""
+      }, dismissing...`
+    );
+    await dismissModal(client);
+  }
+
+  try {
+    await client.page.waitForLoadState("load", {
+      timeout: timeoutFor(client, 8000),
+    });
+  } catch (_) {
+    // Ignore load-state timeouts; data saves even if background polling continues.
+  }
+
+  if (
+    modalText.toLowerCase().includes(client.site.messages.saveFailed) &&
+    (await isSaveEnabled(client))
+  ) {
+    log.warn("❌ Oliver reported a problem saving the resource");
+    return { status: "SAVE_FAILED", error: `Save failed: ${modalText}` };
+  }
+
+  const verified = await timeStep(client, "verify", () =>
+    verifySaved(client, isbn)
+  );
+  if (verified === true) {
+    log.info("✅ Resource saved successfully!");
+    return { status: "ADDED", error: null };
+  }
+  if (verified === false) {
+    log.warn("❌ Save did not land: the resource can still be saved");
+    return {
+      status: "SAVE_FAILED",
+      error: "Save button still enabled after searching again",
+    };
+  }
+  log.warn("⚠️  Resource saved, but the save could not be verified");
+  return { status: "ADDED_UNVERIFIED", error: "Save could not be verified" };
+}
+
+async function isSaveEnabled(client) {
+  const button = await client.page.$(client.site.selectors.saveButton);
+  return button ? !(await button.isDisabled().catch(() => true)) : false;
+}
+
+// true when the resource is now in the catalogue, false when it clearly
+// isn't, and null when that couldn't be checked
+async function verifySaved(client, isbn) {
+  const isSaveDisabled = async () => {
+    const button = await client.page.$(client.site.selectors.saveButton);
+    return button ? button.isDisabled() : null;
+  };
+
+  try {
+    if (await isSaveDisabled()) {
+      return true;
+    }
+
+    log.info("   → Checking the save by searching again...");
+    if (!(await searchSmartCataloguing(client, isbn))) {
+      return null;
+    }
+    const statusMessageHandle = await client.page.$(
+      client.site.selectors.statusMessage
+    );
+    const statusText = statusMessageHandle
+      ? (await statusMessageHandle.innerText()).trim().toLowerCase()
+      : "";
+    if (!statusText.includes(client.site.messages.found)) {
+      return null;
+    }
+    return await isSaveDisabled();
+  } catch (_) {
+    return null;
+  }
+}
+
+// One logged-in browser tab on Smart Cataloguing. Several clients can share a
+// browser and a login (see BatchRunner and createSharedSession), each with
+// its own browser context, so several ISBNs can be searched at once.
+//
+//   const client = new OliverClient({ site, credentials, sessionFile });
+//   await client.open();
+//   await client.openSmartCataloguing(); // logs in if needed
+//   const result = await client.add("9780140449136");
+//   await client.close();
+export class OliverClient {
+  constructor({
+    site,
+    credentials,
+    sessionFile,
+    headless = true,
+    browser = null,
+    session = createSharedSession(),
+    tag = "",
+  }) {
+    this.site = site;
+    this.credentials = credentials;
+    // Where the login cookies are saved so the next run can skip logging in
+    this.sessionFile = sessionFile;
+    this.headless = headless;
+    this.browser = browser;
+    this.ownsBrowser = !browser;
+    this.session = session;
+    // Added to log lines, e.g. " [worker 2]"
+    this.tag = tag;
+    // How long to wait for Oliver (site.timing, see lib/timing.js)
+    this.timing = resolveTimingProfile(site.timing);
+    // Milliseconds spent in each step since takeTimings() (see timeStep)
+    this.timings = {};
+    this.currentStep = null;
+    this.stepSince = 0;
+    this.context = null;
+    this.page = null;
+    this.sessionGeneration = 0;
+    // Where the tab was last seen (PAGE_STATES), e.g. where navigation got
+    // stuck
+    this.pageState = null;
+    // The trace being recorded (see startTrace): where it goes, the files
+    // saved so far and whether it is recording right now
+    this.trace = null;
+  }
+
+  async open() {
+    if (!this.browser) {
+      this.browser = await launchBrowser(this.headless, this.timing);
+    }
+
+    if (this.sessionFile && existsSync(this.sessionFile)) {
+      // The saved login is as old as the file (see markSessionExpired)
+      this.session.loggedInAt ??= statSync(this.sessionFile).mtimeMs;
+      this.context = await this.browser.newContext({
+        storageState: this.sessionFile,
+      });
+    } else {
+      this.context = await this.browser.newContext();
+    }
+    this.context.on("page", (newPage) => {
+      registerPageEventHandlers(newPage);
+    });
+    this.context.on("response", (response) =>
+      checkResponseForExpiry(this, response)
+    );
+
+    this.page = await this.context.newPage();
+    registerPageEventHandlers(this.page);
+    return this;
+  }
+
+  async close() {
+    await this.context?.close().catch(() => {});
+    this.context = null;
+    this.page = null;
+    if (this.ownsBrowser) {
+      await this.browser?.close();
+      this.browser = null;
+    }
+  }
+
+  // Records a Playwright trace of everything this tab does until stopTrace()
+  // (open it with "npx playwright show-trace <file>"). Start it once logged
+  // in: logging in again pauses it (see pauseTrace), so the password never
+  // ends up in a trace, and the trace carries on in <file>-2.zip and so on.
+  async startTrace(filePath) {
+    await this.context.tracing.start({ screenshots: true, snapshots: true });
+    await this.context.tracing.startChunk();
+    this.trace = { filePath, files: [], recording: true };
+  }
+
+  // Saves what has been recorded so far as the next trace file
+  async saveTraceChunk() {
+    const { filePath, files } = this.trace;
+    const chunkPath =
+      files.length === 0
+        ? filePath
+        : filePath.replace(/(\.zip)?$/, `-${files.length + 1}.zip`);
+    this.trace.recording = false;
+    try {
+      mkdirSync(dirname(chunkPath), { recursive: true });
+      await this.context.tracing.stopChunk({ path: chunkPath });
+      files.push(chunkPath);
+    } catch (error) {
+      log.warn(`   → Unable to save the trace: ${error.message}`);
+    }
+  }
+
+  // Stops recording until resumeTrace(), e.g. while typing the password.
+  // Resolves to false if nothing was being recorded.
+  async pauseTrace() {
+    if (!this.trace?.recording) {
+      return false;
+    }
+    await this.saveTraceChunk();
+    return true;
+  }
+
+  async resumeTrace() {
+    if (!this.trace || this.trace.recording || !this.context) {
+      return;
+    }
+    try {
+      await this.context.tracing.startChunk();
+      this.trace.recording = true;
+    } catch (error) {
+      log.warn(`   → Unable to carry on with the trace: ${error.message}`);
+    }
+  }
+
+  // Saves the trace; resolves to the files it was saved in (none if there
+  // was no trace or it couldn't be saved)
+  async stopTrace() {
+    if (!this.trace) {
+      return [];
+    }
+    if (this.trace.recording) {
+      await this.saveTraceChunk();
+    }
+    const { files } = this.trace;
+    this.trace = null;
+    await this.context?.tracing.stop().catch(() => {});
+    return files;
+  }
+
+  // Saves a screenshot (<basePath>.png) and the HTML (<basePath>.html) of the
+  // page as it is now, and reads the Smart Cataloguing status message, to see
+  // afterwards what went wrong. Anything that can't be captured is left out;
+  // resolves to null if the tab has gone.
+  async captureFailure(basePath) {
+    const { page } = this;
+    if (!page || page.isClosed()) {
+      return null;
+    }
+    mkdirSync(dirname(basePath), { recursive: true });
+    const captured = {
+      screenshot: null,
+      html: null,
+      statusMessage: null,
+      url: page.url(),
+    };
+
+    try {
+      await page.screenshot({
+        path: `${basePath}.png`,
+        fullPage: true,
+        timeout: 10000,
+      });
+      captured.screenshot = `${basePath}.png`;
+    } catch (error) {
+      log.warn(`   → Unable to take a screenshot: ${error.message}`);
+    }
+
+    try {
+      writeFileSync(`${basePath}.html`, await page.content(), "utf-8");
+      captured.html = `${basePath}.html`;
+    } catch (error) {
+      log.warn(`   → Unable to save the page HTML: ${error.message}`);
+    }
+
+    try {
+      const message = await page.$(this.site.selectors.statusMessage);
+      captured.statusMessage = message
+        ? (await message.innerText()).trim()
+        : null;
+    } catch (_) {
+      // The page is mid-navigation or closing; the screenshot will show it
+    }
+    return captured;
+  }
+
+  // Logs in through the Oliver login dialog, or picks up a login another
+  // client sharing the session has just made. Resolves to false on failure.
+  login() {
+    return login(this);
+  }
+
+  // Navigates to Smart Cataloguing through the menus, logging in on the way
+  // if the session has expired. Resolves to false if it can't be reached,
+  // with pageState saying where it got stuck.
+  openSmartCataloguing() {
+    return navigateToSmartCataloguing(this);
+  }
+
+  // Requests the welcome page in the background, without using the tab, so
+  // Oliver sees the session in use. Resolves to false if it shows the
+  // session has ended (the next search then logs in again first).
+  async pingSession() {
+    if (!this.context || sessionExpired(this)) {
+      return false;
+    }
+    const requestedUrl = siteUrl(this.site, "welcome");
+    try {
+      const response = await this.context.request.get(requestedUrl, {
+        timeout: timeoutFor(this, 15000),
+      });
+      this.session.lastUsedAt = Date.now();
+      const reason = expiryReason(
+        { url: response.url(), status: response.status(), requestedUrl },
+        this.site
+      );
+      if (reason) {
+        markSessionExpired(this.session, this.sessionGeneration, reason);
+        return false;
+      }
+      log.debug("   → Kept the Oliver session alive");
+      return true;
+    } catch (error) {
+      log.debug(`   → Keep-alive request failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Time spent logging in, navigating, searching, saving and verifying since
+  // the last call, in whole milliseconds
+  takeTimings() {
+    const timings = {};
+    for (const [step, ms] of Object.entries(this.timings)) {
+      timings[step] = Math.round(ms);
+    }
+    this.timings = {};
+    return timings;
+  }
+
+  // Searches for the ISBN without saving anything. The result's status is
+  // WOULD_ADD, ALREADY_EXISTS, NOT_FOUND, UNKNOWN (Oliver's answer wasn't
+  // recognised) or ERROR (the search couldn't be run, or wasn't answered in
+  // time). canSave says whether save() can be called next.
+  async lookup(isbn) {
+    const result = {
+      isbn,
+      status: null,
+      statusMessage: "",
+      error: null,
+      record: null,
+      canSave: false,
+    };
+
+    const searchReady = await timeStep(this, "search", () =>
+      searchSmartCataloguing(this, isbn)
+    );
+    if (searchReady === null) {
+      log.warn("❌ Search timed out: Oliver didn't answer in time");
+      return {
+        ...result,
+        status: "ERROR",
+        error: "Search timed out waiting for Oliver's answer",
+      };
+    }
+    if (!searchReady) {
+      log.warn(
+        `❌ Unable to complete search after session refresh attempts (page state: ${this.pageState})`
+      );
+      return {
+        ...result,
+        status: "ERROR",
+        error: "Search failed after re-login",
+      };
+    }
+
+    const statusMessageHandle = await this.page.$(
+      this.site.selectors.statusMessage
+    );
+    result.statusMessage = statusMessageHandle
+      ? (await statusMessageHandle.innerText()).trim()
+      : "";
+    const statusText = result.statusMessage.toLowerCase();
+
+    if (statusText.includes(this.site.messages.notFound)) {
+      log.info("❌ ISBN not found - no matching resource");
+      return { ...result, status: "NOT_FOUND" };
+    }
+
+    if (!statusText.includes(this.site.messages.found)) {
+      log.warn(
+        `⚠️  Warning: No status message after search: ${result.statusMessage}`
+      );
+      // Save is only offered if Oliver is showing an enabled Save button
+      const saveButton = await this.page.$(this.site.selectors.saveButton);
+      result.canSave = Boolean(saveButton) && !(await saveButton.isDisabled());
+      return { ...result, status: "UNKNOWN", error: "No status message" };
+    }
+
+    // Capture the matched record before saving changes the result pane
+    result.record = await captureMatchedRecord(this);
+    const summary = formatMatchedRecord(result.record);
+    if (summary) {
+      log.info(`   → Matched: ${summary}`);
+    }
+
+    const saveButton = await this.page.$(this.site.selectors.saveButton);
+    if (!saveButton) {
+      log.warn("⚠️  Found resource but save control missing");
+      return { ...result, status: "UNKNOWN", error: "Save button not found" };
+    }
+
+    if (await saveButton.isDisabled()) {
+      log.info("⏭️  Resource already exists in catalog");
+      return { ...result, status: "ALREADY_EXISTS" };
+    }
+
+    return { ...result, status: "WOULD_ADD", canSave: true };
+  }
+
+  // Saves the resource the last lookup() found and checks it landed:
+  // ADDED, ADDED_UNVERIFIED or SAVE_FAILED (see saveResource)
+  async save(isbn) {
+    const saveButton = await this.page.$(this.site.selectors.saveButton);
+    if (!saveButton || (await saveButton.isDisabled())) {
+      throw new Error(`Nothing to save for ${isbn}; look it up first`);
+    }
+    return timeStep(this, "save", () => saveResource(this, isbn, saveButton));
+  }
+
+  // lookup() and, if the resource isn't catalogued yet, save()
+  async add(isbn) {
+    const found = await this.lookup(isbn);
+    if (found.status !== "WOULD_ADD") {
+      return found;
+    }
+
+    log.info("✅ Resource found and not yet catalogued, saving...");
+    const saved = await this.save(isbn);
+    return { ...found, ...saved, canSave: false };
+  }
+}
@@ -0,0 +1,199 @@
+import { execSync } from "node:child_process";
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scryptSync,
+} from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { log } from "./logger.js";
+import { promptHidden, promptLine } from "./prompt.js";
+
+// Credentials
+//
+// Where the Oliver password can come from, tried in order. Each provider
+// returns whatever it could find ({ username, password }) or null; the first
+// one to supply a password wins. The plaintext .env file is still supported
+// but no longer required.
+export const CREDENTIAL_PROVIDERS = [
+  {
+    name: ".env / environment",
+    resolve: async (credentials) =>
+      credentials.password ? { password: credentials.password } : null,
+  },
+  {
+    name: "password command",
+    resolve: async (credentials) =>
+      credentials.passwordCommand
+        ? { password: runPasswordCommand(credentials.passwordCommand) }
+        : null,
+  },
+  {
+    name: "encrypted credential file",
+    resolve: async (credentials, { credentialFile }) =>
+      credentialFile && existsSync(credentialFile)
+        ? unlockCredentialFile(credentialFile)
+        : null,
+  },
+  {
+    name: "prompt",
+    resolve: async (credentials, { label }) =>
+      process.stdin.isTTY ? promptForCredentials(credentials, label) : null,
+  },
+];
+
+// The login used without a profile, from OLIVER_USERNAME etc. (read when
+// called, so after .env has been loaded)
+export function envCredentials() {
+  return {
+    username: process.env.OLIVER_USERNAME,
+    password: process.env.OLIVER_PASSWORD,
+    passwordCommand: process.env.OLIVER_PASSWORD_COMMAND,
+    usernameVar: "OLIVER_USERNAME",
+    passwordVar: "OLIVER_PASSWORD",
+    passwordCommandVar: "OLIVER_PASSWORD_COMMAND",
+  };
+}
+
+// e.g. OLIVER_PASSWORD_COMMAND="pass show school/oliver" - the first line the
+// command prints is used as the password
+export function runPasswordCommand(command) {
+  let output;
+  try {
+    output = execSync(command, {
+      encoding: "utf8",
+      stdio: ["inherit", "pipe", "inherit"],
+    });
+  } catch (error) {
+    throw new Error(`Password command failed: ${command}`);
+  }
+
+  const password = output.split(/\r?\n/)[0];
+  if (!password) {
+    throw new Error(`Password command printed nothing: ${command}`);
+  }
+  return password;
+}
+
+async function promptForCredentials(credentials, label = "") {
+  const username =
+    credentials.username || (await promptLine(`Oliver username${label}: `));
+  const password = await promptHidden(`Oliver password${label}: `);
+  return { username, password };
+}
+
+// The credential file holds the username and password encrypted with a key
+// derived from a passphrase (scrypt + AES-256-GCM), so a copied laptop drive
+// or backup doesn't give away the Oliver login.
+export function encryptCredentials(values, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = scryptSync(passphrase, salt, 32);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(values), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    version: 1,
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+export function decryptCredentials(file, passphrase, filePath = "credentials") {
+  const key = scryptSync(passphrase, Buffer.from(file.salt, "base64"), 32);
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(file.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+
+  try {
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(file.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Could not unlock ${filePath} - is the passphrase right?`);
+  }
+}
+
+async function unlockCredentialFile(filePath) {
+  let passphrase = process.env.OLIVER_CREDENTIALS_PASSPHRASE;
+  if (!passphrase) {
+    if (!process.stdin.isTTY) {
+      throw new Error(
+        `${filePath} needs a passphrase: set OLIVER_CREDENTIALS_PASSPHRASE or run interactively`
+      );
+    }
+    passphrase = await promptHidden("Credential file passphrase: ");
+  }
+
+  const file = JSON.parse(readFileSync(filePath, "utf8"));
+  return decryptCredentials(file, passphrase, filePath);
+}
+
+// Asks for the login and a passphrase and writes the encrypted file
+export async function saveCredentialFile(filePath, credentials) {
+  if (!process.stdin.isTTY) {
+    throw new Error("Saving credentials needs an interactive terminal");
+  }
+
+  const username =
+    (await promptLine(
+      `Oliver username${
+        credentials.username ? ` [${credentials.username}]` : ""
+      }: `
+    )) || credentials.username;
+  const password = await promptHidden("Oliver password: ");
+  if (!username || !password) {
+    throw new Error("Username and password are both required");
+  }
+
+  const passphrase = await promptHidden("Choose a passphrase: ");
+  if (passphrase.length < 8) {
+    throw new Error("The passphrase must be at least 8 characters");
+  }
+  if ((await promptHidden("Repeat the passphrase: ")) !== passphrase) {
+    throw new Error("The passphrases don't match");
+  }
+
+  writeFileSync(
+    filePath,
+    JSON.stringify(encryptCredentials({ username, password }, passphrase)) +
+      "\n",
+    { mode: 0o600 }
+  );
+  return filePath;
+}
+
+// Fills in credentials.username/password from the first provider that has
+// them and returns that provider's name, or null if none did. Provider
+// errors (a failing password command, a wrong passphrase) are thrown.
+export async function resolveCredentials(
+  credentials,
+  { credentialFile = null, label = "" } = {}
+) {
+  for (const provider of CREDENTIAL_PROVIDERS) {
+    const found = await provider.resolve(credentials, {
+      credentialFile,
+      label,
+    });
+
+    if (found?.password) {
+      credentials.username = credentials.username || found.username;
+      credentials.password = found.password;
+      log.debug(`   → Using the Oliver password from: ${provider.name}`);
+      return credentials.username ? provider.name : null;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,366 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { basename, extname, join } from "node:path";
+import { BatchRunner } from "./batch-runner.js";
+import { readInputEntries, saveIsbnDetails, validateIsbns } from "./input.js";
+import { normalizeIsbn } from "./isbn.js";
+import { log } from "./logger.js";
+import {
+  exportLegacyFiles,
+  formatResultsCsv,
+  writeReports,
+} from "./reports.js";
+import { ERROR_STATUSES } from "./state-store.js";
+
+// Web dashboard (node index.js serve)
+//
+// A page on localhost for adding ISBN lists to the queue, starting, pausing
+// and stopping runs, watching progress and downloading the results, for
+// people who'd rather not use Command Prompt. It drives the same StateStore
+// and BatchRunner as "node index.js run", so either can pick up where the
+// other left off.
+const PAGE = readFileSync(new URL("./dashboard.html", import.meta.url));
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// The result tables on the page, each downloadable as <name>.csv
+export const RESULT_GROUPS = {
+  added: ["ADDED", "ADDED_UNVERIFIED"],
+  "already-exists": ["ALREADY_EXISTS"],
+  "not-found": ["NOT_FOUND"],
+  errors: ERROR_STATUSES,
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJsonBody(request) {
+  // Only JSON is accepted, so another website open in the same browser can't
+  // post a plain form to the dashboard
+  if (!request.headers["content-type"]?.startsWith("application/json")) {
+    throw new HttpError(415, "Expected a JSON request");
+  }
+
+  return new Promise((resolveBody, rejectBody) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        rejectBody(new HttpError(413, "The file is too large (10 MB at most)"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolveBody(
+          JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}")
+        );
+      } catch (_) {
+        rejectBody(new HttpError(400, "Invalid JSON"));
+      }
+    });
+    request.on("error", rejectBody);
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  response.end(JSON.stringify(body));
+}
+
+function latestResult(record) {
+  const result = record.results.at(-1) || {};
+  return {
+    isbn: record.isbn,
+    status: record.state,
+    title: result.record?.title || "",
+    author: result.record?.author || "",
+    message: result.error || result.statusMessage || "",
+    finishedAt: result.finishedAt || null,
+  };
+}
+
+export function startDashboard({
+  store,
+  site,
+  credentials,
+  runOptions = {},
+  port = 3000,
+  host = "127.0.0.1",
+}) {
+  const { dataFiles } = store;
+  const dashboard = {
+    runner: null,
+    running: null,
+    state: "idle",
+    runId: null,
+    startedAt: null,
+    finishedAt: null,
+    working: new Map(),
+    processed: 0,
+    total: 0,
+    lastError: null,
+  };
+
+  // Pasted text and uploaded files go through the same import as
+  // "node index.js run <file>", so spreadsheets work too
+  const addIsbns = async ({ text, fileName, content, column }) => {
+    const tempDir = mkdtempSync(join(tmpdir(), "oliver-upload-"));
+    try {
+      let filePath;
+      if (content !== undefined) {
+        const extension = extname(basename(fileName || "")) || ".txt";
+        filePath = join(tempDir, `upload${extension.toLowerCase()}`);
+        writeFileSync(filePath, Buffer.from(content, "base64"));
+      } else {
+        filePath = join(tempDir, "pasted.txt");
+        writeFileSync(filePath, String(text || ""));
+      }
+
+      let entries;
+      try {
+        entries = await readInputEntries(filePath, column || undefined);
+      } catch (error) {
+        // Name the uploaded file rather than our temporary copy of it
+        const label = fileName || "the pasted text";
+        throw new HttpError(400, error.message.replace(filePath, label));
+      }
+      const values = entries.map((entry) => entry.value);
+      const valid = validateIsbns(values, { invalidFile: dataFiles.invalid });
+      saveIsbnDetails(dataFiles.details, entries);
+
+      const { newIsbns, skipped } = store.planQueue(valid);
+      store.initializeQueue(valid);
+      exportLegacyFiles(store);
+      return {
+        found: entries.length,
+        queued: newIsbns.length,
+        alreadyProcessed: skipped.length,
+        invalid: values.filter((value) => !normalizeIsbn(value).isbn).length,
+      };
+    } finally {
+      rmSync(tempDir, { recursive: true, force: true });
+    }
+  };
+
+  const startRun = ({ label }) => {
+    if (dashboard.runner) {
+      throw new HttpError(409, "A run is already in progress");
+    }
+    if (store.getQueue().length === 0) {
+      throw new HttpError(400, "The queue is empty; add some ISBNs first");
+    }
+
+    const runner = new BatchRunner({
+      site,
+      credentials,
+      store,
+      ...runOptions,
+      label: String(label || "").trim() || "dashboard",
+    });
+    Object.assign(dashboard, {
+      runner,
+      state: "running",
+      runId: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      processed: 0,
+      total: 0,
+      lastError: null,
+    });
+    dashboard.working.clear();
+
+    runner.on("start", ({ runId, queue }) => {
+      dashboard.runId = runId;
+      dashboard.total = Math.min(queue.length, runOptions.limit ?? Infinity);
+    });
+    runner.on("progress", ({ isbn, tag, processed }) => {
+      dashboard.working.set(tag, isbn);
+      dashboard.processed = processed;
+    });
+    runner.on("result", (result) => {
+      for (const [tag, isbn] of dashboard.working) {
+        if (isbn === result.isbn) {
+          dashboard.working.delete(tag);
+        }
+      }
+    });
+    runner.on("paused", () => {
+      dashboard.state = "paused";
+    });
+    runner.on("resumed", () => {
+      dashboard.state = "running";
+    });
+    runner.on("stopping", () => {
+      dashboard.state = "stopping";
+    });
+
+    dashboard.running = runner
+      .run()
+      .then(({ runId, completed }) => {
+        if (completed) {
+          writeReports(store, { runId });
+        } else {
+          dashboard.lastError =
+            "The run ended without processing anything; check the terminal window for details";
+        }
+      })
+      .catch((error) => {
+        log.error(`Error during automation: ${error.message}`);
+        dashboard.lastError = error.message;
+        exportLegacyFiles(store);
+      })
+      .finally(() => {
+        Object.assign(dashboard, {
+          runner: null,
+          running: null,
+          state: "idle",
+          finishedAt: new Date().toISOString(),
+        });
+        dashboard.working.clear();
+      });
+  };
+
+  const control = (action) => {
+    if (!dashboard.runner) {
+      throw new HttpError(409, "Nothing is running");
+    }
+    dashboard.runner[action]();
+  };
+
+  const status = () => {
+    const queue = store.getQueue();
+    const groups = {};
+    for (const [name, statuses] of Object.entries(RESULT_GROUPS)) {
+      groups[name] = store
+        .getRecordsByStatus(...statuses)
+        .map(latestResult)
+        .sort((a, b) => (b.finishedAt || "").localeCompare(a.finishedAt || ""));
+    }
+
+    return {
+      site: site.name,
+      run: {
+        state: dashboard.state,
+        runId: dashboard.runId,
+        startedAt: dashboard.startedAt,
+        finishedAt: dashboard.finishedAt,
+        processed: dashboard.processed,
+        total: dashboard.total,
+        working: [...dashboard.working.values()],
+        lastError: dashboard.lastError,
+      },
+      queue: {
+        length: queue.length,
+        next: queue.slice(0, 50),
+        waitingToRetry: store
+          .getQueuedRecords()
+          .filter((record) => record.retryAt).length,
+      },
+      groups,
+    };
+  };
+
+  const download = (response, name) => {
+    let results;
+    if (name === "all") {
+      results = store.getResultHistory();
+    } else if (RESULT_GROUPS[name]) {
+      results = store
+        .getRecordsByStatus(...RESULT_GROUPS[name])
+        .map((record) => record.results.at(-1));
+    } else {
+      throw new HttpError(404, "Not found");
+    }
+
+    response.writeHead(200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="oliver-${name}.csv"`,
+    });
+    response.end(formatResultsCsv(results));
+  };
+
+  const handle = async (request, response) => {
+    // Only answer requests addressed to this computer, so a website can't
+    // reach the dashboard by pointing its own domain name at 127.0.0.1
+    const hostName = (request.headers.host || "").replace(/:\d+$/, "");
+    if (!["localhost", "127.0.0.1", "[::1]"].includes(hostName)) {
+      throw new HttpError(403, "Forbidden");
+    }
+
+    const { pathname } = new URL(request.url, "http://localhost");
+    const route = `${request.method} ${pathname}`;
+
+    if (route === "GET /") {
+      response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(PAGE);
+      return;
+    }
+    if (route === "GET /api/status") {
+      sendJson(response, 200, status());
+      return;
+    }
+    if (route === "POST /api/isbns") {
+      sendJson(response, 200, await addIsbns(await readJsonBody(request)));
+      return;
+    }
+    if (route === "POST /api/start") {
+      startRun(await readJsonBody(request));
+      sendJson(response, 200, status());
+      return;
+    }
+    const controlMatch = route.match(/^POST \/api\/(pause|resume|stop)$/);
+    if (controlMatch) {
+      await readJsonBody(request);
+      control(controlMatch[1]);
+      sendJson(response, 200, status());
+      return;
+    }
+    const downloadMatch = route.match(/^GET \/download\/([a-z-]+)\.csv$/);
+    if (downloadMatch) {
+      download(response, downloadMatch[1]);
+      return;
+    }
+    throw new HttpError(404, "Not found");
+  };
+
+  const server = createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (!(error instanceof HttpError)) {
+        log.error(`Dashboard error: ${error.message}`);
+      }
+      if (!response.headersSent) {
+        sendJson(response, error.status || 500, { error: error.message });
+      }
+    });
+  });
+
+  return new Promise((resolveStart, rejectStart) => {
+    server.once("error", rejectStart);
+    server.listen(port, host, () => {
+      resolveStart({
+        url: `http://localhost:${server.address().port}`,
+        server,
+        // Stops the web server, letting a run finish the ISBNs in progress
+        close: async () => {
+          dashboard.runner?.stop();
+          await dashboard.running;
+          await new Promise((resolveClose) => {
+            server.close(resolveClose);
+            server.closeAllConnections();
+          });
+        },
+      });
+    });
+  });
+}
@@ -0,0 +1,84 @@
+import {
+  appendFileSync,
+  existsSync,
+  readFileSync,
+  writeFileSync,
+} from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// The project folder, where oliver.config.json, .env and (without a profile)
+// the session, queue and result files live
+export const PROJECT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+// Where session, queue and result files live. Each profile gets its own
+// directory (see resolveProfile); without one, files sit in PROJECT_DIR.
+export function resolveDataFiles(dataDir) {
+  return {
+    dir: dataDir,
+    session: join(dataDir, "session.json"),
+    state: join(dataDir, "state.jsonl"),
+    // Held by the process changing the state (see lib/lock.js)
+    lock: join(dataDir, "oliver.lock"),
+    archive: join(dataDir, "archive"),
+    report: join(dataDir, "report.txt"),
+    reportJson: join(dataDir, "report.json"),
+    reportCsv: join(dataDir, "report.csv"),
+    previewReport: join(dataDir, "preview-report.txt"),
+    previewCsv: join(dataDir, "preview-report.csv"),
+    invalid: join(dataDir, "invalid.txt"),
+    details: join(dataDir, "isbn-details.json"),
+    credentials: join(dataDir, "credentials.enc.json"),
+    // Screenshots, page HTML and traces of failures, one folder per run
+    artifacts: join(dataDir, "artifacts"),
+    // One log file per command run (see openLogFile)
+    logs: join(dataDir, "logs"),
+    // Default folder for "node index.js watch"
+    inbox: join(dataDir, "inbox"),
+    // Legacy flat files, exported from the state store after each run
+    queue: join(dataDir, "queue.txt"),
+    added: join(dataDir, "added.txt"),
+    alreadyExists: join(dataDir, "already-exists.txt"),
+    notFound: join(dataDir, "not-found.txt"),
+    errors: join(dataDir, "errors.txt"),
+    legacyResultsLog: join(dataDir, "results.jsonl"),
+  };
+}
+
+// Text file helpers
+export function readLines(filePath) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+  const content = readFileSync(filePath, "utf-8");
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith("#"));
+}
+
+export function writeLines(filePath, lines) {
+  writeFileSync(filePath, lines.length > 0 ? lines.join("\n") + "\n" : "");
+}
+
+export function appendLine(filePath, line, errorMessage = null) {
+  const content = errorMessage ? `${line} # ${errorMessage}` : line;
+  appendFileSync(filePath, content + "\n", "utf-8");
+}
+
+export function readJsonLines(filePath) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+  return readFileSync(filePath, "utf-8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (_) {
+        // A crash mid-write can leave a partial last line; skip it
+        return [];
+      }
+    });
+}
@@ -0,0 +1,64 @@
+// Oliver uploader as a library, for other Node tools. index.js (the command
+// line) is built on the same pieces; see "Using It From Other Node Scripts"
+// in the README.
+export { BatchRunner } from "./batch-runner.js";
+export { launchBrowser, OliverClient } from "./client.js";
+export {
+  envCredentials,
+  resolveCredentials,
+  saveCredentialFile,
+} from "./credentials.js";
+export { startDashboard } from "./dashboard.js";
+export { PROJECT_DIR, resolveDataFiles } from "./files.js";
+export {
+  importSpreadsheet,
+  readInputEntries,
+  readIsbnDetails,
+  saveIsbnDetails,
+  validateIsbns,
+} from "./input.js";
+export { canonicalIsbn, normalizeIsbn } from "./isbn.js";
+export {
+  closeLogFile,
+  log,
+  LOG_FORMATS,
+  openLogFile,
+  withLogContext,
+} from "./logger.js";
+export { detectPageState, PAGE_STATES } from "./page-state.js";
+export { formatMatchedRecord } from "./records.js";
+export {
+  describeScope,
+  exportLegacyFiles,
+  REPORT_COLUMNS,
+  selectResults,
+  writePreviewReport,
+  writeReports,
+  writeResultsCsv,
+} from "./reports.js";
+export {
+  classifyFailure,
+  DEFAULT_RETRY_POLICY,
+  RETRYABLE_CATEGORIES,
+} from "./retry.js";
+export {
+  createSharedSession,
+  expiryReason,
+  formatAge,
+  markSessionExpired,
+  savedSessionAge,
+} from "./session.js";
+export {
+  DEFAULT_SITE,
+  DEFAULT_SITE_NAME,
+  loadSiteConfig,
+  resolveProfile,
+} from "./site.js";
+export { ERROR_STATUSES, FINAL_STATUSES, StateStore } from "./state-store.js";
+export {
+  DEFAULT_TIMING_PROFILE,
+  resolveTimingProfile,
+  TIMING_PROFILES,
+  TIMING_STEPS,
+} from "./timing.js";
+export { watchInbox } from "./watch.js";
@@ -0,0 +1,346 @@
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { extname } from "node:path";
+import readXlsxFile from "read-excel-file/node";
+import { appendLine, readLines } from "./files.js";
+import { normalizeIsbn } from "./isbn.js";
+import { log } from "./logger.js";
+
+// Normalises the input and diverts anything that isn't a real ISBN to
+// invalidFile (when record is set); returns the valid ISBN-13s, deduplicated
+export function validateIsbns(
+  rawEntries,
+  { invalidFile = null, record = true } = {}
+) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  for (const raw of rawEntries) {
+    const { isbn, error } = normalizeIsbn(raw);
+    if (!isbn) {
+      invalid.push({ raw, error });
+      continue;
+    }
+    if (!seen.has(isbn)) {
+      seen.add(isbn);
+      valid.push(isbn);
+    }
+  }
+
+  if (invalid.length > 0) {
+    const recording = record && invalidFile;
+    const alreadyRecorded = new Set(recording ? readLines(invalidFile) : []);
+    for (const { raw, error } of invalid) {
+      const line = `${raw} # ${error}`;
+      if (recording && !alreadyRecorded.has(line)) {
+        appendLine(invalidFile, raw, error);
+        alreadyRecorded.add(line);
+      }
+      log.warn(`⚠️  Skipping invalid ISBN "${raw}": ${error}`);
+    }
+    log.info(
+      recording
+        ? `Skipped ${invalid.length} invalid ISBN(s) (see ${invalidFile})`
+        : `Skipped ${invalid.length} invalid ISBN(s)`
+    );
+  }
+
+  if (valid.length < rawEntries.length - invalid.length) {
+    log.info(
+      `Removed ${
+        rawEntries.length - invalid.length - valid.length
+      } duplicate ISBN(s) from input`
+    );
+  }
+
+  return valid;
+}
+
+// Extra spreadsheet columns (title, quantity, invoice...) keyed by ISBN-13
+export function readIsbnDetails(filePath) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    log.warn(`⚠️  Ignoring unreadable ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+export function saveIsbnDetails(filePath, entries) {
+  const stored = readIsbnDetails(filePath);
+  let changed = false;
+
+  for (const { value, details } of entries) {
+    if (!details || Object.keys(details).length === 0) {
+      continue;
+    }
+    const { isbn } = normalizeIsbn(value);
+    if (!isbn) {
+      continue;
+    }
+    stored[isbn] = { ...stored[isbn], ...details };
+    changed = true;
+  }
+
+  if (changed) {
+    writeFileSync(filePath, JSON.stringify(stored, null, 2) + "\n", "utf-8");
+  }
+}
+
+// Spreadsheet import (CSV/TSV/XLSX)
+export const SPREADSHEET_EXTENSIONS = new Set([".csv", ".tsv", ".xlsx"]);
+const ISBN_HEADER_PATTERN = /isbn|ean|barcode/i;
+
+function detectDelimiter(content) {
+  const firstLine =
+    content
+      .split(/\r?\n/)
+      .find((line) => line.trim() && !line.trim().startsWith("#")) || "";
+  const count = (char) => firstLine.split(char).length - 1;
+  return [",", ";", "\t"].reduce((best, char) =>
+    count(char) > count(best) ? char : best
+  );
+}
+
+function parseCsv(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map((cells) => cells.map((cell) => cell.trim()));
+}
+
+function formatSpreadsheetCell(cell) {
+  if (cell === null || cell === undefined) {
+    return "";
+  }
+  if (cell instanceof Date) {
+    return cell.toISOString().slice(0, 10);
+  }
+  return String(cell).trim();
+}
+
+async function readSpreadsheetRows(filePath) {
+  let rows;
+  if (extname(filePath).toLowerCase() === ".xlsx") {
+    rows = (await readXlsxFile(filePath)).map((cells) =>
+      cells.map(formatSpreadsheetCell)
+    );
+  } else {
+    // Strip the byte-order mark Excel adds to "CSV UTF-8" exports
+    const content = readFileSync(filePath, "utf-8").replace(/^\uFEFF/, "");
+    rows = parseCsv(content, detectDelimiter(content));
+  }
+
+  return rows.filter(
+    (cells) =>
+      cells.some((cell) => cell.length > 0) && !cells[0].startsWith("#")
+  );
+}
+
+function toIsbnCell(value) {
+  // Spreadsheets store ISBNs as numbers, dropping the leading zero of
+  // ISBN-10s such as 0545139708
+  return /^\d{9}$/.test(value) ? `0${value}` : value;
+}
+
+// 10 to 13 digits (the last may be an X), with or without hyphens: an ISBN,
+// even one with a typo or a bad check digit
+function looksLikeIsbn(cell) {
+  return /^\d{9,12}[\dX]$/i.test(toIsbnCell(cell).replace(/[-\s]/g, ""));
+}
+
+// The first row is a header if it has some text and nothing that could be
+// an ISBN, so a first book with a mistyped ISBN is still read as a book
+function isHeaderRow(cells) {
+  return (
+    cells.some((cell) => /[a-z]/i.test(cell)) &&
+    !cells.some((cell) => looksLikeIsbn(cell))
+  );
+}
+
+// Without a header: a table has columns of text (titles, authors...), while
+// a bare list of ISBNs only has the odd typo among them
+function isBareList(rows) {
+  const hasText = (cell) => /[a-z]/i.test(cell) && !looksLikeIsbn(cell);
+  const width = Math.max(...rows.map((cells) => cells.length));
+  for (let index = 0; index < width; index++) {
+    const textCells = rows.filter((cells) => hasText(cells[index] || ""));
+    if (textCells.length > rows.length / 2) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function resolveIsbnColumn(header, rows, column) {
+  if (column !== undefined) {
+    if (/^\d+$/.test(column)) {
+      const index = Number(column) - 1;
+      if (index < 0) {
+        throw new Error("--column index starts at 1");
+      }
+      return index;
+    }
+    if (!header) {
+      throw new Error(
+        `Column "${column}" requested by name but the file has no header row; use a column number instead`
+      );
+    }
+    const index = header.findIndex(
+      (name) => name.toLowerCase() === column.toLowerCase()
+    );
+    if (index === -1) {
+      throw new Error(
+        `Column "${column}" not found. Available columns: ${header.join(", ")}`
+      );
+    }
+    return index;
+  }
+
+  if (header) {
+    const named = header.findIndex((name) => ISBN_HEADER_PATTERN.test(name));
+    if (named !== -1) {
+      return named;
+    }
+  }
+
+  // No usable header, so pick the column holding the most valid ISBNs
+  const width = Math.max(...rows.map((cells) => cells.length));
+  let bestIndex = -1;
+  let bestCount = 0;
+  for (let index = 0; index < width; index++) {
+    const validCount = rows.filter(
+      (cells) => normalizeIsbn(toIsbnCell(cells[index] || "")).isbn
+    ).length;
+    if (validCount > bestCount) {
+      bestIndex = index;
+      bestCount = validCount;
+    }
+  }
+  return bestIndex;
+}
+
+export async function importSpreadsheet(filePath, column) {
+  const rows = await readSpreadsheetRows(filePath);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = isHeaderRow(rows[0]) ? rows[0] : null;
+  const dataRows = header ? rows.slice(1) : rows;
+
+  if (!header && column === undefined && isBareList(dataRows)) {
+    // A bare list of ISBNs (e.g. "978...,978...,978..."): every cell counts
+    return dataRows
+      .flat()
+      .flatMap((cell) => cell.split(/[,;]/))
+      .map((cell) => cell.trim())
+      .filter((cell) => cell.length > 0)
+      .map((cell) => ({ value: toIsbnCell(cell), details: {} }));
+  }
+
+  const columnIndex = resolveIsbnColumn(header, dataRows, column);
+  if (columnIndex === -1) {
+    throw new Error("Could not find an ISBN column; use --column to pick one");
+  }
+
+  const columnName = (index) => header?.[index] || `Column ${index + 1}`;
+  log.info(`Using column "${columnName(columnIndex)}" for ISBNs`);
+
+  const entries = [];
+  let emptyRows = 0;
+  for (const cells of dataRows) {
+    const value = toIsbnCell(cells[columnIndex] || "");
+    if (!value) {
+      emptyRows++;
+      continue;
+    }
+    const details = {};
+    cells.forEach((cell, index) => {
+      if (index !== columnIndex && cell) {
+        details[columnName(index)] = cell;
+      }
+    });
+    entries.push({ value, details });
+  }
+
+  if (emptyRows > 0) {
+    log.info(`Skipped ${emptyRows} row(s) with an empty ISBN column`);
+  }
+
+  return entries;
+}
+
+export async function readInputEntries(input, column) {
+  if (!existsSync(input)) {
+    return [{ value: input, details: {} }];
+  }
+
+  log.info(`Reading ISBNs from file: ${input}`);
+  let entries;
+
+  if (
+    SPREADSHEET_EXTENSIONS.has(extname(input).toLowerCase()) ||
+    column !== undefined
+  ) {
+    try {
+      entries = await importSpreadsheet(input, column);
+    } catch (error) {
+      throw new Error(`Unable to import ${input}: ${error.message}`);
+    }
+  } else {
+    const content = readFileSync(input, "utf-8");
+
+    entries = content
+      .split(/[\n,;]+/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0 && !line.startsWith("#"))
+      .map((value) => ({ value, details: {} }));
+  }
+
+  log.info(`Found ${entries.length} ISBNs in file`);
+  return entries;
+}
@@ -0,0 +1,65 @@
+// ISBN validation and normalisation
+function isbn10Checksum(digits) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const value = digits[i] === "X" ? 10 : Number(digits[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11;
+}
+
+export function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function normalizeIsbn(raw) {
+  // Accept "ISBN 0-545-13970-8", "978 0545 139700" etc. and reduce to digits
+  const cleaned = String(raw)
+    .trim()
+    .toUpperCase()
+    .replace(/^ISBN(-1[03])?:?/, "")
+    .replace(/[\s-]/g, "");
+
+  if (/^\d{9}[\dX]$/.test(cleaned)) {
+    if (isbn10Checksum(cleaned) !== 0) {
+      return { isbn: null, error: "Invalid ISBN-10 checksum" };
+    }
+    // ISBN-10s map onto the 978 prefix of ISBN-13
+    const first12 = `978${cleaned.slice(0, 9)}`;
+    return { isbn: first12 + isbn13CheckDigit(first12), error: null };
+  }
+
+  if (/^\d{13}$/.test(cleaned)) {
+    if (!cleaned.startsWith("978") && !cleaned.startsWith("979")) {
+      return { isbn: null, error: "ISBN-13 must start with 978 or 979" };
+    }
+    if (isbn13CheckDigit(cleaned.slice(0, 12)) !== cleaned[12]) {
+      return { isbn: null, error: "Invalid ISBN-13 checksum" };
+    }
+    return { isbn: cleaned, error: null };
+  }
+
+  if (cleaned.length === 0) {
+    return { isbn: null, error: "Empty entry" };
+  }
+
+  if (/[^\dX]/.test(cleaned)) {
+    return { isbn: null, error: "Contains characters other than digits" };
+  }
+
+  return {
+    isbn: null,
+    error: `Expected 10 or 13 digits, got ${cleaned.length}`,
+  };
+}
+
+export function canonicalIsbn(value) {
+  // Result files may hold entries written before validation existed, so fall
+  // back to the raw value when it can't be normalised.
+  const { isbn } = normalizeIsbn(value);
+  return isbn || value.trim();
+}
@@ -0,0 +1,87 @@
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+// Data directory lock
+//
+// The state store reads state.jsonl once and then works from memory, so two
+// processes sharing a data directory (say watch alongside run or serve on
+// the same profile) would each claim and save the same ISBNs. The first
+// process to change the state takes the lock file and keeps it until it
+// exits; any other is refused. A lock left by a process that is no longer
+// running (a crash, or a closed window) is taken over.
+const held = new Set();
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: running, but as another user
+    return error.code === "EPERM";
+  }
+}
+
+// The process holding the lock if it is another one that is still running,
+// else null
+export function lockHolder(lockFile) {
+  let holder;
+  try {
+    holder = JSON.parse(readFileSync(lockFile, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+  return holder.pid !== process.pid && isRunning(holder.pid) ? holder : null;
+}
+
+function releaseLocks() {
+  for (const lockFile of held) {
+    try {
+      if (JSON.parse(readFileSync(lockFile, "utf-8")).pid === process.pid) {
+        rmSync(lockFile, { force: true });
+      }
+    } catch (_) {
+      // Already gone
+    }
+  }
+  held.clear();
+}
+
+// Takes the lock for this process until it exits; throws if another running
+// process has it. Taking it again is a no-op.
+export function acquireLock(lockFile) {
+  if (held.has(lockFile)) {
+    return;
+  }
+  mkdirSync(dirname(lockFile), { recursive: true });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      writeFileSync(
+        lockFile,
+        JSON.stringify({ pid: process.pid, since: new Date().toISOString() }) +
+          "\n",
+        { flag: "wx" }
+      );
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST" || attempt === 3) {
+        throw error;
+      }
+      const holder = lockHolder(lockFile);
+      if (holder) {
+        throw new Error(
+          `${dirname(lockFile)} is in use by another process (PID ${
+            holder.pid
+          }, since ${holder.since}). Stop it first, or use a different profile.`
+        );
+      }
+      // Left behind by a process that has gone
+      rmSync(lockFile, { force: true });
+    }
+  }
+
+  if (held.size === 0) {
+    process.once("exit", releaseLocks);
+  }
+  held.add(lockFile);
+}
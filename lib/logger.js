@@ -0,0 +1,141 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { appendFileSync, mkdirSync, readdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+
+// Levelled logging
+//
+// log.error/warn/info/debug print the message to the console as before
+// (debug only with DEBUG set, e.g. by --debug) and, once openLogFile() has
+// been called, also append it to a log file with a timestamp, the level and
+// the ISBN, worker and run it is about (see withLogContext). The file always
+// gets every level, so there is a full record of an unattended run.
+export const LOG_FORMATS = ["text", "json"];
+
+// Log files kept in the logs folder; older ones are deleted
+export const MAX_LOG_FILES = 30;
+// A file this big is continued in a new one (long watch or serve sessions)
+const MAX_LOG_BYTES = 10 * 1024 * 1024;
+
+const contexts = new AsyncLocalStorage();
+const logFile = {
+  dir: null,
+  name: null,
+  format: "text",
+  part: 1,
+  path: null,
+  bytes: 0,
+};
+
+// Runs fn with fields (isbn, worker, runId) added to every line it logs,
+// including from anything it awaits
+export function withLogContext(fields, fn) {
+  return contexts.run({ ...contexts.getStore(), ...fields }, fn);
+}
+
+function logFilePath() {
+  const suffix = logFile.part > 1 ? `-${logFile.part}` : "";
+  return join(logFile.dir, `${logFile.name}${suffix}.log`);
+}
+
+function pruneLogFiles(dir, keep) {
+  const files = readdirSync(dir)
+    .filter((name) => name.endsWith(".log"))
+    .sort();
+  for (const name of files.slice(0, Math.max(files.length - keep, 0))) {
+    rmSync(join(dir, name), { force: true });
+  }
+}
+
+// Starts a new log file, <dir>/<timestamp>-<name>.log, and deletes all but
+// the newest MAX_LOG_FILES. Returns its path.
+export function openLogFile(dir, { name = "oliver", format = "text" } = {}) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown log format "${format}" (expected ${LOG_FORMATS.join(" or ")})`
+    );
+  }
+  mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  Object.assign(logFile, {
+    dir,
+    name: `${stamp}-${name}`,
+    format,
+    part: 1,
+    bytes: 0,
+  });
+  logFile.path = logFilePath();
+  pruneLogFiles(dir, MAX_LOG_FILES - 1);
+  return logFile.path;
+}
+
+export function closeLogFile() {
+  logFile.path = null;
+}
+
+function formatLine(time, level, context, message) {
+  if (logFile.format === "json") {
+    const fields = Object.entries(context).filter(([, value]) => value != null);
+    return JSON.stringify({
+      time,
+      level,
+      ...Object.fromEntries(fields),
+      message,
+    });
+  }
+  const about = [
+    context.isbn,
+    context.worker ? `worker ${context.worker}` : null,
+  ].filter(Boolean);
+  const prefix = `${time} ${level.toUpperCase().padEnd(5)}`;
+  const tags = about.length > 0 ? ` [${about.join(" ")}]` : "";
+  // Continuation lines are indented so every entry starts with a timestamp
+  return `${prefix}${tags} ${message.replace(/\n/g, "\n    ")}`;
+}
+
+function writeToFile(level, message) {
+  if (!logFile.path) {
+    return;
+  }
+  // Leading blank lines and the "   → " indent are only for the console
+  const text = String(message).replace(/^\s+/, "").replace(/^→ /, "").trimEnd();
+  if (!text || /^=+$/.test(text)) {
+    return;
+  }
+
+  const line =
+    formatLine(
+      new Date().toISOString(),
+      level,
+      contexts.getStore() || {},
+      text
+    ) + "\n";
+  try {
+    if (logFile.bytes + line.length > MAX_LOG_BYTES) {
+      logFile.part++;
+      logFile.path = logFilePath();
+      logFile.bytes = 0;
+    }
+    appendFileSync(logFile.path, line, "utf-8");
+    logFile.bytes += Buffer.byteLength(line);
+  } catch (error) {
+    // Losing the log file (e.g. a full disk) must not stop the run
+    console.error(`Unable to write to the log file: ${error.message}`);
+    logFile.path = null;
+  }
+}
+
+function write(level, message) {
+  if (level === "error") {
+    console.error(message);
+  } else if (level !== "debug" || process.env.DEBUG) {
+    console.log(message);
+  }
+  writeToFile(level, message);
+}
+
+export const log = {
+  error: (message) => write("error", message),
+  warn: (message) => write("warn", message),
+  info: (message) => write("info", message),
+  debug: (message) => write("debug", message),
+};
@@ -0,0 +1,57 @@
+// Page states
+//
+// Where a browser tab is on the way to Smart Cataloguing. The client looks
+// at the page, works out which of these it is on and takes the one step that
+// gets it closer (see reachSmartCataloguing in client.js), so the same
+// recovery works after a fresh start, an expired session or a redirect.
+export const PAGE_STATES = {
+  // The login link is showing: not logged in, or the session has expired
+  LOGGED_OUT: "logged-out",
+  // The login dialog is open and waiting for a username and password
+  LOGIN_DIALOG: "login-dialog",
+  // Logged in with the Cataloguing menu showing (usually the welcome page)
+  WELCOME: "welcome",
+  // Oliver refused to show the page, usually with a half-expired session
+  PERMISSION_DENIED: "permission-denied",
+  // Smart Cataloguing with its search box, ready to search
+  SMART_CATALOGUING: "smart-cataloguing",
+  // Anything else, e.g. a blank tab, another page or one still loading
+  UNKNOWN: "unknown",
+};
+
+// Checks the page once, without waiting for anything to appear
+export async function detectPageState(page, site) {
+  if (!page || page.isClosed()) {
+    return PAGE_STATES.UNKNOWN;
+  }
+  const { paths, selectors } = site;
+  const visible = (selector) => page.isVisible(selector).catch(() => false);
+  const url = page.url();
+
+  if (await visible(selectors.loginUsername)) {
+    return PAGE_STATES.LOGIN_DIALOG;
+  }
+  if (
+    url.includes("permissionDenied") ||
+    (await visible(selectors.permissionDenied))
+  ) {
+    return PAGE_STATES.PERMISSION_DENIED;
+  }
+  if (await visible(selectors.loginLink)) {
+    return PAGE_STATES.LOGGED_OUT;
+  }
+  if (url.includes(paths.smartCataloguing)) {
+    // Without the search box it is still loading (or broken), and its menu
+    // mustn't be mistaken for the welcome page's
+    return (await visible(selectors.searchTerm))
+      ? PAGE_STATES.SMART_CATALOGUING
+      : PAGE_STATES.UNKNOWN;
+  }
+  if (
+    (await visible(selectors.logout)) &&
+    (await visible(selectors.cataloguingMenu))
+  ) {
+    return PAGE_STATES.WELCOME;
+  }
+  return PAGE_STATES.UNKNOWN;
+}
@@ -0,0 +1,55 @@
+import { createInterface } from "node:readline/promises";
+
+export async function promptLine(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+// Reads a line without echoing it, printing * for each character instead
+export function promptHidden(question) {
+  return new Promise((resolvePrompt, rejectPrompt) => {
+    const { stdin, stdout } = process;
+    let value = "";
+
+    const finish = () => {
+      stdin.off("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write("\n");
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n") {
+          finish();
+          resolvePrompt(value);
+          return;
+        }
+        if (char === "\u0003") {
+          finish();
+          rejectPrompt(new Error("Cancelled"));
+          return;
+        }
+        if (char === "\u007f" || char === "\b") {
+          if (value.length > 0) {
+            value = value.slice(0, -1);
+            stdout.write("\b \b");
+          }
+          continue;
+        }
+        value += char;
+        stdout.write("*");
+      }
+    };
+
+    stdout.write(question);
+    stdin.setEncoding("utf8");
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("data", onData);
+  });
+}
@@ -0,0 +1,17 @@
+// Labels shown next to each field of a matched Smart Cataloguing record
+export const RECORD_FIELD_PATTERNS = {
+  title: /^title/i,
+  author: /^(author|creator|statement of responsibility|responsibility)/i,
+  publisher: /^publisher/i,
+  year: /^(year|publication date|date of publication|published)/i,
+  source: /^(source|found in|record source)/i,
+};
+
+export function formatMatchedRecord(record) {
+  if (!record) {
+    return "";
+  }
+  return [record.title, record.author, record.publisher, record.year]
+    .filter(Boolean)
+    .join(" — ");
+}
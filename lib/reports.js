@@ -0,0 +1,423 @@
+import { writeFileSync } from "node:fs";
+import { readLines, writeLines } from "./files.js";
+import { readIsbnDetails } from "./input.js";
+import { canonicalIsbn } from "./isbn.js";
+import { log } from "./logger.js";
+import { formatMatchedRecord } from "./records.js";
+import { ERROR_STATUSES } from "./state-store.js";
+import { TIMING_STEPS } from "./timing.js";
+
+function describeResultLine(line, details, result = null) {
+  // Error lines look like "<isbn> # <message>"; keep the message last
+  const [isbn, ...comment] = line.split(" # ");
+  const columns = details[canonicalIsbn(isbn)];
+  const matched = formatMatchedRecord(result?.record);
+  const review = result?.review;
+  const suffix = `${matched ? ` — ${matched}` : ""}${
+    columns
+      ? ` — ${Object.entries(columns)
+          .map(([name, value]) => `${name}: ${value}`)
+          .join("; ")}`
+      : ""
+  }${review ? ` — reviewed by ${review.reviewer} (${review.decision})` : ""}`;
+  return `${isbn}${suffix}${
+    comment.length > 0 ? ` # ${comment.join(" # ")}` : ""
+  }`;
+}
+
+function formatErrorLine(record) {
+  const last = record.results.at(-1);
+  const category = last?.errorCategory ? `[${last.errorCategory}] ` : "";
+  // Point at what the page looked like when it failed (see captureArtifacts)
+  const capture = last?.artifacts?.screenshot || last?.artifacts?.html;
+  return `${record.isbn} # ${category}${
+    last?.error || "Unknown error"
+  } (after ${record.results.length} attempt(s))${
+    capture ? `, see ${capture}` : ""
+  }`;
+}
+
+// queue.txt, added.txt etc. for anything still reading the old flat files
+export function exportLegacyFiles(store) {
+  const { dataFiles } = store;
+  const isbnsWith = (...statuses) =>
+    store.getRecordsByStatus(...statuses).map((record) => record.isbn);
+
+  writeLines(dataFiles.queue, store.getQueue());
+  writeLines(dataFiles.added, isbnsWith("ADDED", "ADDED_UNVERIFIED"));
+  writeLines(dataFiles.alreadyExists, isbnsWith("ALREADY_EXISTS"));
+  writeLines(dataFiles.notFound, isbnsWith("NOT_FOUND"));
+  writeLines(
+    dataFiles.errors,
+    store.getRecordsByStatus(...ERROR_STATUSES).map(formatErrorLine)
+  );
+}
+
+// Structured per-ISBN results (report.json / report.csv)
+export const REPORT_COLUMNS = [
+  ["isbn", (result) => result.isbn],
+  ["status", (result) => result.status],
+  ["status_message", (result) => result.statusMessage],
+  ["error", (result) => result.error],
+  ["error_category", (result) => result.errorCategory],
+  ["title", (result) => result.record?.title],
+  ["author", (result) => result.record?.author],
+  ["publisher", (result) => result.record?.publisher],
+  ["year", (result) => result.record?.year],
+  ["source", (result) => result.record?.source],
+  ["review_decision", (result) => result.review?.decision],
+  ["reviewed_by", (result) => result.review?.reviewer],
+  ["attempts", (result) => result.attempts],
+  ["started_at", (result) => result.startedAt],
+  ["finished_at", (result) => result.finishedAt],
+  ["duration_ms", (result) => result.durationMs],
+  // Where that time went (see timeStep)
+  ...TIMING_STEPS.map((step) => [
+    `${step}_ms`,
+    (result) => result.timings?.[step],
+  ]),
+  ["run_id", (result) => result.runId],
+  ["batch", (result) => result.batchLabel],
+  ["screenshot", (result) => result.artifacts?.screenshot],
+  ["page_html", (result) => result.artifacts?.html],
+];
+
+// Average time per attempt in each step, e.g. "search: 2.1s per ISBN
+// (3m 10s in total)", for the attempts that recorded timings
+function formatTimingLines(results) {
+  const timed = results.filter((result) => result.timings);
+  if (timed.length === 0) {
+    return [];
+  }
+  const seconds = (ms) =>
+    ms >= 60000
+      ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`
+      : `${(ms / 1000).toFixed(1)}s`;
+  return TIMING_STEPS.map((step) => {
+    const total = timed.reduce(
+      (sum, result) => sum + (result.timings[step] || 0),
+      0
+    );
+    return `${step}: ${seconds(total / timed.length)} per ISBN (${seconds(
+      total
+    )} in total)`;
+  });
+}
+
+// Reports cover one batch (scope.runId), a date range (scope.since and
+// scope.until, compared with when each ISBN finished) or, with neither,
+// everything recorded so far
+function isScoped(scope) {
+  return Boolean(scope.runId || scope.since || scope.until);
+}
+
+export function selectResults(store, scope = {}) {
+  const { runId, since, until } = scope;
+  return store.getResultHistory().filter((result) => {
+    const finished = Date.parse(result.finishedAt);
+    return (
+      (!runId || result.runId === runId) &&
+      (!since || finished >= since.getTime()) &&
+      (!until || finished < until.getTime())
+    );
+  });
+}
+
+export function describeScope(store, scope = {}) {
+  if (scope.runId) {
+    const batch = store.getBatches().find((run) => run.runId === scope.runId);
+    return batch?.label
+      ? `Batch: ${batch.label} (${scope.runId})`
+      : `Batch: ${scope.runId}`;
+  }
+  if (scope.since || scope.until) {
+    // until is exclusive, so show the last moment it includes
+    const from = scope.since ? scope.since.toLocaleDateString() : "the start";
+    const to = scope.until
+      ? new Date(scope.until.getTime() - 1).toLocaleDateString()
+      : "now";
+    return `Results from ${from} to ${to}`;
+  }
+  return "All results";
+}
+
+// The ISBNs in scoped results, each with its latest result in scope, shaped
+// like StateStore records
+function scopedRecords(results) {
+  const records = new Map();
+  for (const result of results) {
+    const record = records.get(result.isbn) || {
+      isbn: result.isbn,
+      results: [],
+    };
+    record.state = result.status;
+    record.results.push(result);
+    records.set(result.isbn, record);
+  }
+  return [...records.values()];
+}
+
+function toCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeJsonReport(store, scope) {
+  writeFileSync(
+    store.dataFiles.reportJson,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        scope: describeScope(store, scope),
+        runId: scope.runId || null,
+        since: scope.since?.toISOString() || null,
+        until: scope.until?.toISOString() || null,
+        results: selectResults(store, scope),
+      },
+      null,
+      2
+    ) + "\n",
+    "utf-8"
+  );
+}
+
+export function formatResultsCsv(results) {
+  const csvLines = [
+    REPORT_COLUMNS.map(([header]) => header).join(","),
+    ...results.map((result) =>
+      REPORT_COLUMNS.map(([, value]) => toCsvField(value(result))).join(",")
+    ),
+  ];
+  // Excel needs the byte-order mark to read UTF-8 (e.g. "—") correctly
+  return "\uFEFF" + csvLines.join("\r\n") + "\r\n";
+}
+
+export function writeResultsCsv(filePath, results) {
+  writeFileSync(filePath, formatResultsCsv(results));
+}
+
+function writeCsvReport(store, scope) {
+  writeResultsCsv(store.dataFiles.reportCsv, selectResults(store, scope));
+}
+
+function writeTextReport(store, scope) {
+  const { dataFiles } = store;
+  // Everything: the current state of every ISBN from the state store.
+  // Scoped: each ISBN's latest result within the scope.
+  const scoped = isScoped(scope);
+  const records = scoped ? scopedRecords(selectResults(store, scope)) : [];
+  const withStatus = (...statuses) =>
+    scoped
+      ? records.filter((record) => statuses.includes(record.state))
+      : store.getRecordsByStatus(...statuses);
+  // invalid.txt isn't tied to a run, so it is only listed in full reports
+  const invalidLines = scoped ? [] : readLines(dataFiles.invalid);
+  const scopeLine = describeScope(store, scope);
+
+  // Show any imported spreadsheet columns next to each ISBN
+  const details = readIsbnDetails(dataFiles.details);
+  // and the record Smart Cataloguing matched, to spot mismatches
+  const describe = (records, toLine = (record) => record.isbn) =>
+    records.map((record) =>
+      describeResultLine(toLine(record), details, record.results.at(-1))
+    );
+  const added = describe(withStatus("ADDED", "ADDED_UNVERIFIED"), (record) =>
+    record.state === "ADDED_UNVERIFIED"
+      ? `${record.isbn} # save not verified`
+      : record.isbn
+  );
+  const unverifiedCount = withStatus("ADDED_UNVERIFIED").length;
+  const alreadyExists = describe(withStatus("ALREADY_EXISTS"));
+  const notFound = describe(withStatus("NOT_FOUND"));
+  const errorLines = describe(withStatus(...ERROR_STATUSES), formatErrorLine);
+
+  log.info(`\n📋 ${scopeLine}`);
+  log.info(`\n✅ ADDED (${added.length}):`);
+  if (added.length > 0) {
+    added.forEach((isbn) => {
+      log.info(`   - ${isbn}`);
+    });
+  } else {
+    log.info("   None");
+  }
+
+  log.info(`\n⏭️  ALREADY EXISTS (${alreadyExists.length}):`);
+  if (alreadyExists.length > 0) {
+    alreadyExists.forEach((isbn) => {
+      log.info(`   - ${isbn}`);
+    });
+  } else {
+    log.info("   None");
+  }
+
+  log.info(`\n❌ NOT FOUND (${notFound.length}):`);
+  if (notFound.length > 0) {
+    notFound.forEach((isbn) => {
+      log.info(`   - ${isbn}`);
+    });
+  } else {
+    log.info("   None");
+  }
+
+  if (errorLines.length > 0) {
+    log.info(`\n❌ ERRORS (${errorLines.length}):`);
+    errorLines.forEach((line) => {
+      log.info(`   - ${line}`);
+    });
+  }
+
+  if (invalidLines.length > 0) {
+    log.info(`\n🚫 INVALID (${invalidLines.length}):`);
+    invalidLines.forEach((line) => {
+      log.info(`   - ${line}`);
+    });
+  }
+
+  const timingLines = formatTimingLines(selectResults(store, scope));
+  if (timingLines.length > 0) {
+    log.info("\n⏱️  TIME PER STEP:");
+    timingLines.forEach((line) => {
+      log.info(`   - ${line}`);
+    });
+  }
+
+  const totalProcessed =
+    added.length + alreadyExists.length + notFound.length + errorLines.length;
+
+  log.info("\n" + "=".repeat(70));
+  log.info(
+    `Total: ${totalProcessed} | Added: ${added.length} | Already Exists: ${alreadyExists.length} | Not Found: ${notFound.length}`
+  );
+
+  const reportContent = `Oliver Library Upload Report
+Generated: ${new Date().toLocaleString()}
+${scopeLine}
+
+SUMMARY:
+- Total ISBNs Processed: ${totalProcessed}
+- Added: ${added.length}${
+    unverifiedCount > 0 ? ` (${unverifiedCount} not verified)` : ""
+  }
+- Already Exists: ${alreadyExists.length}
+- Not Found: ${notFound.length}
+- Errors: ${errorLines.length}${
+    scoped ? "" : `\n- Invalid (not queued): ${invalidLines.length}`
+  }
+
+ADDED (${added.length}):
+${added.join("\n") || "None"}
+
+ALREADY EXISTS (${alreadyExists.length}):
+${alreadyExists.join("\n") || "None"}
+
+NOT FOUND (${notFound.length}):
+${notFound.join("\n") || "None"}
+
+${
+  errorLines.length > 0
+    ? `ERRORS (${errorLines.length}):\n${errorLines.join("\n")}`
+    : ""
+}
+
+${
+  invalidLines.length > 0
+    ? `INVALID (${invalidLines.length}):\n${invalidLines.join("\n")}`
+    : ""
+}
+
+${
+  timingLines.length > 0
+    ? `TIME PER STEP:\n${timingLines.map((line) => `- ${line}`).join("\n")}`
+    : ""
+}
+`;
+
+  writeFileSync(dataFiles.report, reportContent);
+  log.info(`\n📄 Report saved to: ${dataFiles.report}`);
+}
+
+// Lookup-only runs: the results are never recorded, so they are passed in
+export function writePreviewReport(dataFiles, results) {
+  const describe = (result) => {
+    const summary = formatMatchedRecord(result.record);
+    const error = result.error ? ` # ${result.error}` : "";
+    return `${result.isbn}${summary ? ` — ${summary}` : ""}${error}`;
+  };
+  const withStatus = (...statuses) =>
+    results.filter((result) => statuses.includes(result.status)).map(describe);
+
+  const sections = [
+    ["➕", "WOULD ADD", withStatus("WOULD_ADD")],
+    ["⏭️ ", "ALREADY EXISTS", withStatus("ALREADY_EXISTS")],
+    ["❌", "NOT FOUND", withStatus("NOT_FOUND")],
+    ["❌", "ERRORS", withStatus(...ERROR_STATUSES)],
+  ];
+
+  for (const [icon, title, lines] of sections) {
+    log.info(`\n${icon} ${title} (${lines.length}):`);
+    if (lines.length > 0) {
+      lines.forEach((line) => {
+        log.info(`   - ${line}`);
+      });
+    } else {
+      log.info("   None");
+    }
+  }
+
+  const reportContent = `Oliver Library Lookup Preview
+Generated: ${new Date().toLocaleString()}
+Nothing was saved to the catalogue.
+
+SUMMARY:
+- Total ISBNs Looked Up: ${results.length}
+${sections.map(([, title, lines]) => `- ${title}: ${lines.length}`).join("\n")}
+
+${sections
+  .map(
+    ([, title, lines]) =>
+      `${title} (${lines.length}):\n${lines.join("\n") || "None"}`
+  )
+  .join("\n\n")}
+`;
+  writeFileSync(dataFiles.previewReport, reportContent);
+
+  writeResultsCsv(dataFiles.previewCsv, results);
+
+  log.info(`\n📄 Preview saved to: ${dataFiles.previewReport}`);
+  log.info(`📊 Preview CSV saved to: ${dataFiles.previewCsv}`);
+}
+
+// Writes the reports for one batch (runId), a date range (since/until) or
+// everything. The legacy flat files always list everything.
+export function writeReports(
+  store,
+  { format = "all", runId, since, until } = {}
+) {
+  const { dataFiles } = store;
+  const scope = { runId, since, until };
+  if (format === "text" || format === "all") {
+    writeTextReport(store, scope);
+  }
+  if (format === "json" || format === "all") {
+    writeJsonReport(store, scope);
+    log.info(`📊 JSON report saved to: ${dataFiles.reportJson}`);
+  }
+  if (format === "csv" || format === "all") {
+    writeCsvReport(store, scope);
+    log.info(`📊 CSV report saved to: ${dataFiles.reportCsv}`);
+  }
+
+  if (format !== "legacy" && format !== "all") {
+    return;
+  }
+
+  exportLegacyFiles(store);
+  log.info("\nResult files:");
+  log.info(`  - State store: ${dataFiles.state}`);
+  log.info(`  - Queue: ${dataFiles.queue}`);
+  log.info(`  - Added: ${dataFiles.added}`);
+  log.info(`  - Already Exists: ${dataFiles.alreadyExists}`);
+  log.info(`  - Not Found: ${dataFiles.notFound}`);
+  log.info(`  - Errors: ${dataFiles.errors}`);
+  log.info(`  - Invalid: ${dataFiles.invalid}`);
+}
@@ -0,0 +1,77 @@
+import { ERROR_STATUSES } from "./state-store.js";
+
+// Retry policy
+//
+// Failed ISBNs are sorted into a category. Transient failures are put back
+// in the queue and retried later in the same run, waiting twice as long
+// after each attempt; persistent ones (and anything out of attempts) are
+// parked as ERROR/UNKNOWN with their category for someone to look at.
+// Failures that don't fit a category ("other") are parked too, for
+// retry-errors once someone has seen what went wrong.
+export const RETRYABLE_CATEGORIES = new Set([
+  "navigation",
+  "session",
+  "timeout",
+  "page-closed",
+]);
+export const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+export const DEFAULT_RETRY_POLICY = { maxAttempts: 3, retryDelayMs: 5000 };
+
+export function classifyFailure(status, error) {
+  if (!ERROR_STATUSES.includes(status)) {
+    return null;
+  }
+  if (status === "SAVE_FAILED") {
+    return "save-failed";
+  }
+
+  const message = (error || "").toLowerCase();
+  if (message.startsWith("skipped in review")) {
+    return "skipped-in-review";
+  }
+  if (message.includes("save button not found")) {
+    return "save-control";
+  }
+  if (message.includes("no status message")) {
+    return "unrecognised-status";
+  }
+  if (message.includes("navigation failed")) {
+    return "navigation";
+  }
+  if (message.includes("re-login") || message.includes("login")) {
+    return "session";
+  }
+  if (/closed|crashed|detached/.test(message)) {
+    return "page-closed";
+  }
+  if (/timeout|timed out/.test(message)) {
+    return "timeout";
+  }
+  return "other";
+}
+
+// Returns the delay before the next attempt, or null if the ISBN is parked
+export function scheduleRetry(store, result, policy = DEFAULT_RETRY_POLICY) {
+  if (!RETRYABLE_CATEGORIES.has(result.errorCategory)) {
+    return null;
+  }
+
+  const attemptsThisRun = store
+    .get(result.isbn)
+    .results.filter((previous) => previous.runId === result.runId).length;
+  if (attemptsThisRun >= policy.maxAttempts) {
+    return null;
+  }
+
+  const delayMs = Math.min(
+    policy.retryDelayMs * 2 ** (attemptsThisRun - 1),
+    MAX_RETRY_DELAY_MS
+  );
+  store.append({
+    type: "retry",
+    isbn: result.isbn,
+    category: result.errorCategory,
+    retryAt: new Date(Date.now() + delayMs).toISOString(),
+  });
+  return delayMs;
+}
@@ -0,0 +1,64 @@
+import { userInfo } from "node:os";
+import { promptLine } from "./prompt.js";
+import { formatMatchedRecord } from "./records.js";
+
+// Review mode: pause on results the tool can't classify by itself (and, with
+// --review-matches, on every match) so the operator can look at the browser
+// and decide. Each choice is recorded with the name of whoever made it.
+export const REVIEW_CHOICES = [
+  { key: "s", decision: "save", label: "Save" },
+  { key: "k", decision: "skip", label: "Skip" },
+  { key: "n", decision: "not-found", label: "Mark not found" },
+  { key: "r", decision: "retry", label: "Retry search" },
+];
+
+export function reviewerName() {
+  if (process.env.OLIVER_REVIEWER) {
+    return process.env.OLIVER_REVIEWER;
+  }
+  try {
+    return userInfo().username;
+  } catch (_) {
+    return "unknown";
+  }
+}
+
+export async function reviewResult(
+  isbn,
+  { reason, statusText, record, canSave }
+) {
+  const choices = REVIEW_CHOICES.filter(
+    (choice) => canSave || choice.decision !== "save"
+  );
+
+  console.log(`\n👀 Review needed for ${isbn}: ${reason}`);
+  console.log(
+    `   Status message: ${statusText ? `"${statusText}"` : "(none)"}`
+  );
+  const summary = formatMatchedRecord(record);
+  if (summary) {
+    console.log(`   Matched record: ${summary}`);
+  }
+  if (record?.source) {
+    console.log(`   Source: ${record.source}`);
+  }
+  console.log("   Check the browser window, then choose:");
+  console.log(
+    `   ${choices
+      .map((choice) => `[${choice.key}] ${choice.label}`)
+      .join("  ")}`
+  );
+
+  for (;;) {
+    const answer = (await promptLine("   Choice: ")).toLowerCase();
+    const choice = choices.find(
+      (candidate) => answer === candidate.key || answer === candidate.decision
+    );
+    if (choice) {
+      return choice.decision;
+    }
+    console.log(
+      `   Please type ${choices.map((candidate) => candidate.key).join(", ")}`
+    );
+  }
+}
@@ -0,0 +1,89 @@
+import { existsSync, statSync } from "node:fs";
+import { log } from "./logger.js";
+
+// Oliver sessions
+//
+// Workers share one Oliver login. Logins are serialised so only one worker
+// opens the login dialog at a time; the rest pick up its cookies instead of
+// logging in again and replacing the session the others are using.
+//
+// Oliver ends a session after a while. When a response shows it has (see
+// expiryReason), the login is marked as expired so every worker logs in
+// again before its next search instead of finding out from a search that
+// lands on the login page. With keep-alive on, an Oliver page is requested
+// whenever the session hasn't been used for a while, so it doesn't go cold
+// during retries, pauses or a quiet spell in scan mode.
+export function createSharedSession() {
+  return {
+    generation: 0,
+    cookies: [],
+    pending: Promise.resolve(),
+    // When the login in use was made (ms since 1970): when session.json was
+    // saved, until a worker logs in
+    loggedInAt: null,
+    // When Oliver last answered anything in this session
+    lastUsedAt: Date.now(),
+    // The generation of the login Oliver has ended, if any
+    expiredGeneration: -1,
+  };
+}
+
+// How long ago the login in session.json was saved, in milliseconds, or null
+// if there isn't one
+export function savedSessionAge(sessionFile) {
+  if (!sessionFile || !existsSync(sessionFile)) {
+    return null;
+  }
+  return Date.now() - statSync(sessionFile).mtimeMs;
+}
+
+// e.g. "45 min" or "3 h 12 min"
+export function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Statuses Oliver answers with once the session is over
+const EXPIRED_STATUSES = [401, 440];
+
+// Why an Oliver response means the session is over, or null if it doesn't:
+// an "unauthorised" status, or a request redirected to the login or
+// permission-denied page. requestedUrl is where the request was first sent.
+export function expiryReason({ url, status, requestedUrl }, site) {
+  if (!url.startsWith(site.baseUrl)) {
+    return null;
+  }
+  const path = new URL(url).pathname;
+  if (EXPIRED_STATUSES.includes(status)) {
+    return `Oliver answered ${status} for ${path}`;
+  }
+  if (
+    requestedUrl &&
+    requestedUrl !== url &&
+    /login|permissionDenied/i.test(path)
+  ) {
+    return `${new URL(requestedUrl).pathname} was redirected to ${path}`;
+  }
+  return null;
+}
+
+// Records that Oliver has ended the given login. Ignored before anyone has
+// logged in, and for a login that has already been replaced.
+export function markSessionExpired(session, generation, reason) {
+  if (
+    session.loggedInAt === null ||
+    generation < session.generation ||
+    generation <= session.expiredGeneration
+  ) {
+    return false;
+  }
+  session.expiredGeneration = generation;
+  log.warn(
+    `   → Oliver ended the session after ${formatAge(
+      Date.now() - session.loggedInAt
+    )} (${reason}); logging in again before the next search`
+  );
+  return true;
+}
@@ -0,0 +1,148 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { PROJECT_DIR } from "./files.js";
+import { DEFAULT_TIMING_PROFILE, resolveTimingProfile } from "./timing.js";
+
+// Oliver site configuration
+//
+// Everything that depends on the Oliver instance (tenant URL, page paths,
+// selectors, status messages, timing profile) lives here. Other
+// Softlink-hosted libraries override any of it per site in oliver.config.json;
+// see oliver.config.example.json.
+export const DEFAULT_CONFIG_FILE = join(PROJECT_DIR, "oliver.config.json");
+export const DEFAULT_SITE_NAME = "oneschoolglobal";
+
+export const DEFAULT_SITE = {
+  baseUrl: "https://oneschoolglobal.softlinkhosting.com.au",
+  paths: {
+    home: "/oliver/home/browse/list",
+    welcome: "/oliver/welcome.do",
+    smartCataloguing: "/oliver/cataloguing/smartCataloguing.do",
+  },
+  selectors: {
+    loginLink: "a.login.topLink[href='login']",
+    loginUsername: "#loginForm_username",
+    loginPassword: "#loginForm_password",
+    loginSubmit: '#dialogContent button[type="submit"]',
+    logout: "#window_logout",
+    permissionDenied:
+      "div.permissionDenied\\?resource\\=%2Fcataloguing%2FsmartCataloguing",
+    cataloguingMenu: "#menu_cataloguing",
+    smartCataloguingMenuItem: "#menuItem_smartCataloguing",
+    searchTerm: "#smartCatSearchTerm",
+    searchButton: "#smartCatSearchButton",
+    statusMessage: "#smartCatFoundMsg, .smartCatFoundMsg",
+    saveButton: "#smartCatSaveResource",
+    modal: "[id^='modalPopupId_']",
+    modalOk: "#dialogButton_OK",
+    matchedRecord:
+      "#smartCatResourceDetails, .smartCatResourceDetails, #smartCatResult, .smartCatResult",
+  },
+  // Fragments of the #smartCatFoundMsg text, matched case-insensitively
+  messages: {
+    searching: "Search, please wait...",
+    notFound: "no matching resource",
+    found: "found matching resource",
+    // Text in the modal after clicking Save that means the save failed, if
+    // the Save button is still enabled too
+    saveFailed: "error",
+  },
+};
+
+export function readConfigFile(configPath) {
+  const filePath = configPath || DEFAULT_CONFIG_FILE;
+
+  if (!existsSync(filePath)) {
+    if (configPath) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Unable to read ${filePath}: ${error.message}`);
+  }
+}
+
+export function loadSiteConfig(siteName, configPath) {
+  const config = readConfigFile(configPath);
+  const sites = config.sites || {};
+  const name = siteName || config.defaultSite || DEFAULT_SITE_NAME;
+  const overrides = sites[name];
+
+  if (!overrides && name !== DEFAULT_SITE_NAME) {
+    const available = new Set([DEFAULT_SITE_NAME, ...Object.keys(sites)]);
+    throw new Error(
+      `Unknown site "${name}". Available sites: ${[...available].join(", ")}`
+    );
+  }
+
+  const messages = { ...DEFAULT_SITE.messages, ...overrides?.messages };
+  for (const key of Object.keys(messages)) {
+    messages[key] = messages[key].toLowerCase();
+  }
+
+  return {
+    name,
+    baseUrl: (overrides?.baseUrl || DEFAULT_SITE.baseUrl).replace(/\/+$/, ""),
+    paths: { ...DEFAULT_SITE.paths, ...overrides?.paths },
+    selectors: { ...DEFAULT_SITE.selectors, ...overrides?.selectors },
+    messages,
+    // How long to wait for this site's pages (see lib/timing.js)
+    timing: resolveTimingProfile(overrides?.timing || DEFAULT_TIMING_PROFILE)
+      .name,
+  };
+}
+
+// Profiles: one per library/account, each with its own credentials, site and
+// data directory so campuses never share a session, queue or results.
+export function resolveProfile(profileName, configPath) {
+  const profiles = readConfigFile(configPath).profiles || {};
+  const profile = profiles[profileName];
+
+  if (!profile) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      available.length > 0
+        ? `Unknown profile "${profileName}". Available profiles: ${available.join(
+            ", "
+          )}`
+        : `Unknown profile "${profileName}": no profiles are defined in ${
+            configPath || DEFAULT_CONFIG_FILE
+          }`
+    );
+  }
+
+  // e.g. "north-campus" reads OLIVER_NORTH_CAMPUS_USERNAME/_PASSWORD
+  const envPrefix = `OLIVER_${profileName
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")}`;
+  const usernameVar = profile.usernameEnv || `${envPrefix}_USERNAME`;
+  const passwordVar = profile.passwordEnv || `${envPrefix}_PASSWORD`;
+  const passwordCommandVar = `${envPrefix}_PASSWORD_COMMAND`;
+
+  return {
+    name: profileName,
+    site: profile.site,
+    baseUrl: profile.baseUrl,
+    dataDir: resolve(
+      PROJECT_DIR,
+      profile.dataDir || join("profiles", profileName)
+    ),
+    credentials: {
+      username: process.env[usernameVar] || profile.username,
+      password: process.env[passwordVar],
+      passwordCommand:
+        process.env[passwordCommandVar] || profile.passwordCommand,
+      usernameVar,
+      passwordVar,
+      passwordCommandVar,
+    },
+  };
+}
+
+export function siteUrl(site, pathName) {
+  return `${site.baseUrl}${site.paths[pathName]}`;
+}
@@ -0,0 +1,383 @@
+import {
+  appendFileSync,
+  closeSync,
+  existsSync,
+  fsyncSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+  writeSync,
+} from "node:fs";
+import { join } from "node:path";
+import { readJsonLines, readLines } from "./files.js";
+import { canonicalIsbn } from "./isbn.js";
+import { acquireLock, lockHolder } from "./lock.js";
+import { log } from "./logger.js";
+
+// Journaled state store
+//
+// Every queue and result change is one JSON line appended to state.jsonl and
+// fsync'd before we carry on, so a crash can never lose or double-record an
+// ISBN. Replaying the journal on startup rebuilds the current state of each
+// ISBN: queued → in-progress → ADDED / ALREADY_EXISTS / NOT_FOUND / UNKNOWN /
+// ERROR. UNKNOWN and ERROR are not final, so those ISBNs are queued again
+// whenever they appear in a later input list. Transient failures are also
+// put back with a "retry" event and a retryAt time (see scheduleRetry).
+// ADDED_UNVERIFIED: saved without an error, but the save couldn't be
+// confirmed afterwards. It is final so the book is never saved twice.
+export const FINAL_STATUSES = new Set([
+  "ADDED",
+  "ADDED_UNVERIFIED",
+  "ALREADY_EXISTS",
+  "NOT_FOUND",
+]);
+export const ERROR_STATUSES = ["ERROR", "UNKNOWN", "SAVE_FAILED"];
+
+// One store per data directory (see resolveDataFiles). The journal is read
+// the first time anything is asked of the store, and the first change takes
+// the data directory's lock, so only one process changes it at a time.
+export class StateStore {
+  constructor(dataFiles) {
+    this.dataFiles = dataFiles;
+    this.records = new Map();
+    // Every result ever recorded, oldest first (report.json / report.csv)
+    this.resultHistory = [];
+    this.queueSequence = 0;
+    this.loaded = false;
+  }
+
+  applyEvent(event) {
+    let record = this.records.get(event.isbn);
+    if (!record) {
+      record = { isbn: event.isbn, state: null, position: 0, results: [] };
+      this.records.set(event.isbn, record);
+    }
+
+    switch (event.type) {
+      case "queued":
+        record.state = "queued";
+        record.position = ++this.queueSequence;
+        record.retryAt = null;
+        break;
+      case "retry":
+        // Back of the queue, not to be picked up before retryAt
+        record.state = "queued";
+        record.position = ++this.queueSequence;
+        record.retryAt = event.retryAt;
+        break;
+      case "started":
+        record.state = "in-progress";
+        break;
+      case "recovered":
+        // Back to the queue in its original position
+        record.state = "queued";
+        break;
+      case "result":
+        record.state = event.result.status;
+        record.results.push(event.result);
+        this.resultHistory.push(event.result);
+        break;
+    }
+  }
+
+  // Throws if another process is changing this data directory's state
+  lock() {
+    acquireLock(this.dataFiles.lock);
+  }
+
+  append(event) {
+    this.lock();
+    this.load();
+    const entry = { ...event, at: new Date().toISOString() };
+    const fd = openSync(this.dataFiles.state, "a");
+    try {
+      writeSync(fd, JSON.stringify(entry) + "\n");
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    this.applyEvent(entry);
+  }
+
+  migrateLegacyFiles() {
+    const { dataFiles } = this;
+    const events = [];
+    const recorded = new Map();
+
+    for (const result of readJsonLines(dataFiles.legacyResultsLog)) {
+      events.push({ type: "result", isbn: result.isbn, result });
+      recorded.set(result.isbn, result.status);
+    }
+
+    const legacyResults = [
+      [dataFiles.added, "ADDED"],
+      [dataFiles.alreadyExists, "ALREADY_EXISTS"],
+      [dataFiles.notFound, "NOT_FOUND"],
+      [dataFiles.errors, "ERROR"],
+    ];
+    for (const [filePath, status] of legacyResults) {
+      for (const line of readLines(filePath)) {
+        const [value, ...comment] = line.split(" # ");
+        const isbn = canonicalIsbn(value);
+        if (recorded.has(isbn)) {
+          continue;
+        }
+        const error = status === "ERROR" ? comment.join(" # ") || null : null;
+        events.push({ type: "result", isbn, result: { isbn, status, error } });
+        recorded.set(isbn, status);
+      }
+    }
+
+    for (const value of readLines(dataFiles.queue)) {
+      const isbn = canonicalIsbn(value);
+      if (!FINAL_STATUSES.has(recorded.get(isbn))) {
+        events.push({ type: "queued", isbn });
+        recorded.set(isbn, "queued");
+      }
+    }
+
+    if (events.length === 0) {
+      return;
+    }
+
+    log.info(
+      `Migrating ${recorded.size} ISBN(s) from the old result files into ${dataFiles.state}`
+    );
+    const migratedAt = new Date().toISOString();
+    writeFileSync(
+      dataFiles.state,
+      events
+        .map((event) => JSON.stringify({ ...event, at: migratedAt }) + "\n")
+        .join("")
+    );
+  }
+
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    const statePath = this.dataFiles.state;
+    if (!existsSync(statePath)) {
+      this.migrateLegacyFiles();
+    }
+
+    if (existsSync(statePath)) {
+      // Terminate a torn final line so the next event starts on its own line
+      const content = readFileSync(statePath, "utf-8");
+      if (content.length > 0 && !content.endsWith("\n")) {
+        appendFileSync(statePath, "\n");
+      }
+    }
+
+    for (const event of readJsonLines(statePath)) {
+      this.applyEvent(event);
+    }
+
+    // Anything left in-progress was interrupted by a crash or Ctrl+C,
+    // unless another process is working on it right now
+    const interrupted = lockHolder(this.dataFiles.lock)
+      ? []
+      : [...this.records.values()].filter(
+          (record) => record.state === "in-progress"
+        );
+    for (const record of interrupted) {
+      this.append({ type: "recovered", isbn: record.isbn });
+    }
+    if (interrupted.length > 0) {
+      log.info(
+        `Recovered ${interrupted.length} ISBN(s) interrupted by a previous run; they are back in the queue`
+      );
+    }
+  }
+
+  get(isbn) {
+    this.load();
+    return this.records.get(isbn);
+  }
+
+  getResultHistory() {
+    this.load();
+    return this.resultHistory;
+  }
+
+  // One entry per run (batch) that recorded a result, oldest first. Results
+  // migrated from the old flat files have no run and are left out.
+  getBatches() {
+    const batches = new Map();
+    for (const result of this.getResultHistory()) {
+      if (!result.runId) {
+        continue;
+      }
+      let batch = batches.get(result.runId);
+      if (!batch) {
+        batch = {
+          runId: result.runId,
+          label: result.batchLabel || null,
+          startedAt: result.startedAt,
+          finishedAt: result.finishedAt,
+          results: [],
+        };
+        batches.set(result.runId, batch);
+      }
+      batch.finishedAt = result.finishedAt;
+      batch.results.push(result);
+    }
+    return [...batches.values()];
+  }
+
+  getQueuedRecords() {
+    this.load();
+    return [...this.records.values()]
+      .filter((record) => record.state === "queued")
+      .sort((a, b) => a.position - b.position);
+  }
+
+  getQueue() {
+    return this.getQueuedRecords().map((record) => record.isbn);
+  }
+
+  getRecordsByStatus(...statuses) {
+    this.load();
+    return [...this.records.values()].filter((record) =>
+      statuses.includes(record.state)
+    );
+  }
+
+  getProcessedIsbns() {
+    // Errors and unknown results are excluded so they can be retried
+    return new Set(
+      this.getRecordsByStatus(...FINAL_STATUSES).map((record) => record.isbn)
+    );
+  }
+
+  planQueue(inputIsbns) {
+    const processedIsbns = this.getProcessedIsbns();
+    const existingQueue = this.getQueue();
+    const queued = new Set(existingQueue);
+
+    return {
+      existingQueue,
+      newIsbns: inputIsbns.filter(
+        (isbn) => !processedIsbns.has(isbn) && !queued.has(isbn)
+      ),
+      skipped: inputIsbns.filter((isbn) => processedIsbns.has(isbn)),
+    };
+  }
+
+  initializeQueue(inputIsbns) {
+    const { existingQueue, newIsbns, skipped } = this.planQueue(inputIsbns);
+
+    if (existingQueue.length > 0) {
+      log.info(`Found existing queue with ${existingQueue.length} ISBN(s)`);
+    }
+
+    if (skipped.length > 0) {
+      log.info(`Skipped ${skipped.length} already-processed ISBN(s)`);
+    }
+
+    if (newIsbns.length > 0) {
+      log.info(`Adding ${newIsbns.length} new ISBN(s) to queue`);
+      for (const isbn of newIsbns) {
+        this.append({ type: "queued", isbn });
+      }
+    } else if (existingQueue.length > 0) {
+      log.info("No new ISBNs to add to queue");
+    } else {
+      log.info("All ISBNs have already been processed");
+    }
+
+    return this.getQueue();
+  }
+
+  // Takes the next queued ISBN that is due and marks it in-progress in one
+  // step, so two workers can never pick up the same ISBN
+  claimNext(runId, canClaim = () => true) {
+    const now = Date.now();
+    const record = this.getQueuedRecords().find(
+      (candidate) =>
+        canClaim(candidate.isbn) &&
+        !(candidate.retryAt && Date.parse(candidate.retryAt) > now)
+    );
+    if (!record) {
+      return null;
+    }
+    this.append({ type: "started", isbn: record.isbn, runId });
+    return record.isbn;
+  }
+
+  // Queues (if need be) and starts one particular ISBN, e.g. one just scanned
+  claim(isbn, runId) {
+    if (this.get(isbn)?.state !== "queued") {
+      this.append({ type: "queued", isbn });
+    }
+    this.append({ type: "started", isbn, runId });
+  }
+
+  // When the next queued ISBN waiting on a retry becomes due, or null if none
+  nextRetryTime(canClaim = () => true) {
+    const times = this.getQueuedRecords()
+      .filter((record) => record.retryAt && canClaim(record.isbn))
+      .map((record) => Date.parse(record.retryAt));
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  recordResult(result) {
+    this.append({ type: "result", isbn: result.isbn, result });
+  }
+
+  requeueErrors() {
+    const failed = this.getRecordsByStatus(...ERROR_STATUSES);
+    for (const record of failed) {
+      this.append({ type: "queued", isbn: record.isbn });
+    }
+    return failed.map((record) => record.isbn);
+  }
+
+  nextAttempt(isbn) {
+    return (this.get(isbn)?.results.length || 0) + 1;
+  }
+
+  reset({ keepSession = false } = {}) {
+    const { dataFiles } = this;
+    this.lock();
+
+    // The journal is archived rather than deleted in case a reset was a mistake
+    let archived = null;
+    if (existsSync(dataFiles.state)) {
+      mkdirSync(dataFiles.archive, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      archived = join(dataFiles.archive, `state-${stamp}.jsonl`);
+      renameSync(dataFiles.state, archived);
+    }
+
+    const derivedFiles = [
+      dataFiles.queue,
+      dataFiles.added,
+      dataFiles.alreadyExists,
+      dataFiles.notFound,
+      dataFiles.errors,
+      dataFiles.invalid,
+      dataFiles.details,
+      dataFiles.legacyResultsLog,
+      dataFiles.report,
+      dataFiles.reportJson,
+      dataFiles.reportCsv,
+    ];
+    if (!keepSession) {
+      derivedFiles.push(dataFiles.session);
+    }
+    for (const filePath of derivedFiles) {
+      rmSync(filePath, { force: true });
+    }
+
+    this.records.clear();
+    this.resultHistory.length = 0;
+    this.queueSequence = 0;
+    return archived;
+  }
+}
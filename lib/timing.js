@@ -0,0 +1,53 @@
+// Timing profiles
+//
+// The client waits for something to happen on the page (the status message
+// changing, the search request finishing, a menu item appearing) rather than
+// for fixed times. A profile sets how long to give Oliver before a wait
+// counts as failed (timeoutScale, applied to each step's usual timeout), how
+// long to let the page settle after it has changed, and how slowly a visible
+// browser clicks and types. Slow or busy servers want "cautious".
+export const TIMING_PROFILES = {
+  fast: { timeoutScale: 0.75, settleMs: 0, slowMoMs: 0 },
+  normal: { timeoutScale: 1, settleMs: 100, slowMoMs: 0 },
+  cautious: { timeoutScale: 2, settleMs: 500, slowMoMs: 100 },
+};
+export const DEFAULT_TIMING_PROFILE = "normal";
+
+// The steps each result's timings are split into (see timeStep)
+export const TIMING_STEPS = ["login", "navigation", "search", "save", "verify"];
+
+export function resolveTimingProfile(name = DEFAULT_TIMING_PROFILE) {
+  const profile = TIMING_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown timing profile "${name}". Available profiles: ${Object.keys(
+        TIMING_PROFILES
+      ).join(", ")}`
+    );
+  }
+  return { name, ...profile };
+}
+
+// Runs fn as one step, adding the time it takes to timings[step] on the
+// tracker (an OliverClient). Time spent in a step nested inside another,
+// e.g. logging in again during a search, only counts towards the inner one.
+export async function timeStep(tracker, step, fn) {
+  const charge = () => {
+    const now = performance.now();
+    if (tracker.currentStep) {
+      tracker.timings[tracker.currentStep] =
+        (tracker.timings[tracker.currentStep] || 0) + now - tracker.stepSince;
+    }
+    tracker.stepSince = now;
+  };
+
+  charge();
+  const parent = tracker.currentStep;
+  tracker.currentStep = step;
+  try {
+    return await fn();
+  } finally {
+    charge();
+    tracker.currentStep = parent;
+  }
+}
@@ -0,0 +1,217 @@
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  renameSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
+import { basename, extname, join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  readInputEntries,
+  saveIsbnDetails,
+  SPREADSHEET_EXTENSIONS,
+  validateIsbns,
+} from "./input.js";
+import { normalizeIsbn } from "./isbn.js";
+import { log } from "./logger.js";
+import { exportLegacyFiles, writeReports, writeResultsCsv } from "./reports.js";
+
+// Watch folder (node index.js watch [folder])
+//
+// Checks an inbox folder for ISBN lists (e.g. exports from the ordering
+// system) and runs each one through the same import and queue as "node
+// index.js run <file>", one file at a time, keeping the browser and login
+// open in between. Each file then goes to processed/ with a
+// <name>.report.csv of its ISBNs, or to failed/ with a <name>.error.txt
+// saying why. The folder is checked on a timer rather than with fs.watch so
+// network drives work too. A file that can't be read, moved or reported on
+// (e.g. still open in Excel, or the drive dropped out) is logged and tried
+// again on the next check rather than stopping the watcher.
+export const WATCH_EXTENSIONS = new Set([".txt", ...SPREADSHEET_EXTENSIONS]);
+export const DEFAULT_WATCH_INTERVAL_MS = 10000;
+
+// Files are left alone until they haven't changed for this long, so an
+// export that is still being written isn't read half-finished
+const SETTLE_MS = 5000;
+
+// Oldest first; skips hidden files and Excel's "~$" lock files
+function listReadyFiles(inbox) {
+  const now = Date.now();
+  return readdirSync(inbox, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        !/^[.~]/.test(entry.name) &&
+        WATCH_EXTENSIONS.has(extname(entry.name).toLowerCase())
+    )
+    .flatMap((entry) => {
+      const filePath = join(inbox, entry.name);
+      try {
+        return [{ filePath, modified: statSync(filePath).mtimeMs }];
+      } catch (_) {
+        // Removed since the folder was listed
+        return [];
+      }
+    })
+    .filter((file) => now - file.modified >= SETTLE_MS)
+    .sort((a, b) => a.modified - b.modified)
+    .map((file) => file.filePath);
+}
+
+// Moves a file into folder, adding a timestamp if the name is already taken
+function moveInto(filePath, folder) {
+  mkdirSync(folder, { recursive: true });
+  let target = join(folder, basename(filePath));
+  if (existsSync(target)) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    target = join(folder, `${stamp}-${basename(filePath)}`);
+  }
+  renameSync(filePath, target);
+  return target;
+}
+
+function failFile(filePath, inbox, reason) {
+  const target = moveInto(filePath, join(inbox, "failed"));
+  writeFileSync(`${target}.error.txt`, reason + "\n", "utf-8");
+  log.warn(`❌ ${basename(filePath)} failed: ${reason}`);
+  log.info(`   → Moved to ${target}`);
+}
+
+// The latest result for each ISBN in the file, including ISBNs processed by
+// an earlier file, and why anything else wasn't processed
+function fileResults(store, entries) {
+  const rows = new Map();
+  for (const { value } of entries) {
+    const { isbn, error } = normalizeIsbn(value);
+    if (!isbn) {
+      rows.set(value, { isbn: value, status: "INVALID", error });
+      continue;
+    }
+    const record = store.get(isbn);
+    rows.set(
+      isbn,
+      record?.state === "queued" || !record?.results.length
+        ? { isbn, status: "QUEUED" }
+        : record.results.at(-1)
+    );
+  }
+  return [...rows.values()];
+}
+
+// Imports and runs one file, then moves it out of the inbox. A file whose
+// run was stopped stays in the inbox to be picked up again next time.
+async function processFile(runner, filePath, { inbox, column }) {
+  const { store } = runner;
+  const name = basename(filePath);
+  log.info(`\n📥 New file: ${name}`);
+
+  let entries;
+  try {
+    entries = await readInputEntries(filePath, column);
+  } catch (error) {
+    failFile(filePath, inbox, error.message);
+    return;
+  }
+  const values = entries.map((entry) => entry.value);
+  const validIsbns = validateIsbns(values, {
+    invalidFile: store.dataFiles.invalid,
+  });
+  if (validIsbns.length === 0) {
+    failFile(filePath, inbox, "No valid ISBNs in the file");
+    return;
+  }
+  saveIsbnDetails(store.dataFiles.details, entries);
+
+  // Each file is its own batch in the reports
+  runner.label = name;
+  let outcome;
+  try {
+    await runner.open();
+    outcome = await runner.run(validIsbns);
+  } catch (error) {
+    log.error(`Error during automation: ${error.message}`);
+    exportLegacyFiles(store);
+    // Start a fresh browser for the next file
+    await runner.close();
+    failFile(filePath, inbox, error.message);
+    return;
+  }
+
+  if (outcome.stopped) {
+    log.info(`   → ${name} left in the inbox to finish next time`);
+    return;
+  }
+  if (!outcome.completed && store.getQueue().length > 0) {
+    failFile(
+      filePath,
+      inbox,
+      "Unable to reach Smart Cataloguing; the ISBNs stay in the queue for the next run"
+    );
+    return;
+  }
+  if (outcome.completed) {
+    writeReports(store, { runId: outcome.runId });
+  }
+
+  const target = moveInto(filePath, join(inbox, "processed"));
+  const results = fileResults(store, entries);
+  writeResultsCsv(`${target}.report.csv`, results);
+  const count = (...statuses) =>
+    results.filter((result) => statuses.includes(result.status)).length;
+  const added = count("ADDED", "ADDED_UNVERIFIED");
+  const existing = count("ALREADY_EXISTS");
+  const notFound = count("NOT_FOUND");
+  const other = results.length - added - existing - notFound;
+  log.info(
+    `✅ ${name}: ${added} added, ${existing} already existed, ${notFound} not found, ${other} other`
+  );
+  log.info(`   → Moved to ${target} (report: ${target}.report.csv)`);
+}
+
+// Runs until signal is aborted, using runner (a BatchRunner) for every file.
+// The browser is opened once up front and closed at the end.
+export async function watchInbox(
+  runner,
+  inbox,
+  { column, intervalMs = DEFAULT_WATCH_INTERVAL_MS, signal } = {}
+) {
+  mkdirSync(inbox, { recursive: true });
+  await runner.open();
+  log.info(`\n👀 Watching ${inbox} for ISBN files (Ctrl+C to stop)`);
+
+  // Files that went wrong this time round, left until the next check
+  const skipped = new Set();
+  try {
+    while (!signal?.aborted) {
+      let filePath;
+      try {
+        filePath = listReadyFiles(inbox).find((file) => !skipped.has(file));
+      } catch (error) {
+        log.warn(`⚠️  Unable to check ${inbox}: ${error.message}`);
+      }
+      if (filePath) {
+        try {
+          await processFile(runner, filePath, { inbox, column });
+        } catch (error) {
+          skipped.add(filePath);
+          log.warn(
+            `⚠️  Unable to finish with ${basename(filePath)}: ${
+              error.message
+            }; trying again on the next check`
+          );
+        }
+        continue;
+      }
+      skipped.clear();
+      try {
+        await sleep(intervalMs, null, { signal });
+      } catch (_) {
+        // Aborted while waiting
+      }
+    }
+  } finally {
+    await runner.close();
+  }
+}
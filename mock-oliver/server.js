@@ -0,0 +1,614 @@
+// A small local stand-in for the Oliver pages the uploader depends on, so
+// the login, menu navigation, search and save flows can be tested without
+// touching a real catalogue.
+//
+// Run it on its own with "node mock-oliver/server.js [port]" and point a site
+// in oliver.config.json at the printed URL, or start it from a test with
+// startMockOliver().
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+const PATHS = {
+  home: "/oliver/home/browse/list",
+  welcome: "/oliver/welcome.do",
+  smartCataloguing: "/oliver/cataloguing/smartCataloguing.do",
+  login: "/oliver/login",
+  notice: "/oliver/notice.do",
+  permissionDenied: "/oliver/permissionDenied.do",
+  logout: "/oliver/logout",
+  search: "/oliver/cataloguing/smartCataloguing/search",
+  save: "/oliver/cataloguing/smartCataloguing/save",
+};
+
+const MESSAGES = {
+  notFound: "No matching resource found",
+  found: "Found matching resource",
+};
+
+// Resources Smart Cataloguing can find, keyed by ISBN-13. Anything else is
+// "not found". Per resource:
+//   inCatalogue  already catalogued, so the Save button is disabled
+//   message      a status message other than found/not found
+//   saveResult   "error" shows an error modal; "lost" reports success but
+//                leaves the Save button enabled and nothing catalogued;
+//                "unconfirmed" catalogues it but drops the connection
+//                before answering, so the page never hears
+//   saveMessage  the modal text after a successful save, if not the usual
+export const SAMPLE_RESOURCES = {
+  9780140449136: {
+    title: "The Odyssey",
+    author: "Homer",
+    publisher: "Penguin Classics",
+    year: "2003",
+  },
+  9780199535569: {
+    title: "Pride and Prejudice",
+    author: "Jane Austen",
+    publisher: "Oxford University Press",
+    year: "2008",
+    inCatalogue: true,
+  },
+  9780061120084: {
+    title: "To Kill a Mockingbird",
+    author: "Harper Lee",
+    publisher: "Harper Perennial",
+    year: "2006",
+  },
+  9780316067928: {
+    message: "Search service unavailable, please try again later",
+  },
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function parseCookies(header = "") {
+  return Object.fromEntries(
+    header
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name]) => name)
+  );
+}
+
+async function readBody(request) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  return body;
+}
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...headers,
+  });
+  response.end(body);
+}
+
+function sendJson(response, status, data) {
+  send(response, status, JSON.stringify(data), {
+    "Content-Type": "application/json",
+  });
+}
+
+function redirect(response, location, headers = {}) {
+  response.writeHead(302, { Location: location, ...headers });
+  response.end();
+}
+
+// dialogOpen shows the login dialog as soon as a logged-out page loads
+function page({
+  title,
+  loggedIn,
+  returnTo,
+  body = "",
+  script = "",
+  dialogOpen = false,
+}) {
+  const header = loggedIn
+    ? `<a id="window_logout" href="${PATHS.logout}">Log out</a>`
+    : `<a class="login topLink" href="login">Log in</a>`;
+
+  // Opening the login link shows the dialog instead of following the href
+  const loginDialog = loggedIn
+    ? ""
+    : `<div id="dialogContent"${dialogOpen ? "" : " hidden"}>
+  <form method="post" action="${PATHS.login}">
+    <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+    <label>Username <input id="loginForm_username" name="username"></label>
+    <label>Password <input id="loginForm_password" name="password" type="password"></label>
+    <button type="submit">Log in</button>
+  </form>
+</div>
+<script>
+  document.querySelector("a.login.topLink").addEventListener("click", (event) => {
+    event.preventDefault();
+    document.getElementById("dialogContent").hidden = false;
+  });
+</script>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title} - Mock Oliver</title></head>
+<body>
+<div id="header">${header}</div>
+${loginDialog}
+${body}
+<script>${script}</script>
+</body>
+</html>`;
+}
+
+// The real menu has a second, hidden copy of the Smart Cataloguing item.
+// Accounts without access to it get another item in its place.
+function cataloguingMenu(withSmartCataloguing) {
+  const item = withSmartCataloguing
+    ? `<a id="menuItem_smartCataloguing" href="${PATHS.smartCataloguing}">Smart Cataloguing</a>`
+    : `<a id="menuItem_catalogueSearch" href="#">Catalogue Search</a>`;
+  return `<nav id="compactMenu" style="display: none">
+  ${item}
+</nav>
+<ul id="menu">
+  <li>
+    <a id="menu_cataloguing" href="#">Cataloguing</a>
+    <ul id="cataloguingDropdown" hidden>
+      <li>${item}</li>
+    </ul>
+  </li>
+</ul>`;
+}
+
+const CATALOGUING_MENU_SCRIPT = `
+  document.getElementById("menu_cataloguing").addEventListener("click", (event) => {
+    event.preventDefault();
+    document.getElementById("cataloguingDropdown").hidden = false;
+  });`;
+
+const SMART_CATALOGUING_BODY = `<h1>Smart Cataloguing</h1>
+<input id="smartCatSearchTerm">
+<button id="smartCatSearchButton">Search</button>
+<div id="smartCatFoundMsg"></div>
+<div id="smartCatResourceDetails"></div>
+<button id="smartCatSaveResource" disabled>Save</button>`;
+
+const SMART_CATALOGUING_SCRIPT = `
+  const term = document.getElementById("smartCatSearchTerm");
+  const message = document.getElementById("smartCatFoundMsg");
+  const details = document.getElementById("smartCatResourceDetails");
+  const saveButton = document.getElementById("smartCatSaveResource");
+  let modalCount = 0;
+  let unsaved = false;
+
+  function showModal(text, onOk) {
+    const modal = document.createElement("div");
+    modal.id = "modalPopupId_" + ++modalCount;
+    modal.innerHTML = '<p></p><button id="dialogButton_OK">OK</button>';
+    modal.querySelector("p").textContent = text;
+    modal.querySelector("button").addEventListener("click", () => {
+      modal.remove();
+      if (onOk) onOk();
+    });
+    document.body.appendChild(modal);
+  }
+
+  async function post(path, data) {
+    const response = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(data),
+    });
+    if (!response.ok || response.redirected) {
+      // Session expired: Oliver drops back to the logged-out home page
+      location.href = ${JSON.stringify(PATHS.home)};
+      return null;
+    }
+    return response.json();
+  }
+
+  async function search() {
+    message.textContent = "Search, please wait...";
+    details.innerHTML = "";
+    saveButton.disabled = true;
+    unsaved = false;
+
+    const result = await post(${JSON.stringify(PATHS.search)}, {
+      isbn: term.value.trim(),
+    });
+    if (!result) return;
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    message.textContent = result.message;
+    if (result.record) {
+      const list = document.createElement("dl");
+      for (const [label, value] of result.record) {
+        const dt = document.createElement("dt");
+        dt.textContent = label;
+        const dd = document.createElement("dd");
+        dd.textContent = value;
+        list.append(dt, dd);
+      }
+      details.appendChild(list);
+    }
+    saveButton.disabled = !result.canSave;
+    unsaved = result.canSave;
+  }
+
+  document.getElementById("smartCatSearchButton").addEventListener("click", () => {
+    // Searching again with an unsaved match asks for confirmation first
+    if (unsaved) {
+      showModal("The current resource has not been saved. Continue?", search);
+    } else {
+      search();
+    }
+  });
+
+  saveButton.addEventListener("click", async () => {
+    const result = await post(${JSON.stringify(PATHS.save)}, {
+      isbn: term.value.trim(),
+    });
+    if (!result) return;
+    if (result.ok && !result.lost) {
+      saveButton.disabled = true;
+      unsaved = false;
+    }
+    showModal(result.message);
+  });`;
+
+export function startMockOliver(options = {}) {
+  const {
+    port = 0,
+    username = "librarian",
+    password = "secret",
+    resources = SAMPLE_RESOURCES,
+    // End every session after this many searches (once), to test re-login
+    expireSessionsAfterSearches = null,
+    // Show "permission denied" on this many Smart Cataloguing visits first
+    permissionDeniedVisits = 0,
+    // How searches and saves are answered once the session has ended: a
+    // status such as 401 or 440, or "login" / "permission-denied" to
+    // redirect them to that page
+    expiredResponse = 401,
+    // Open the login dialog as soon as a logged-out page loads
+    openLoginDialog = false,
+    // Send this many Smart Cataloguing visits to a notice page first, one
+    // the uploader doesn't recognise
+    noticeVisits = 0,
+    // Leave Smart Cataloguing out of the Cataloguing menu, as for an account
+    // without access to it
+    smartCataloguingInMenu = true,
+    // Never answer this many searches (the first ones), leaving the page on
+    // "Search, please wait...", as a busy Oliver might
+    unansweredSearches = 0,
+    // Answer these searches and saves with failureResponse instead, as an
+    // overloaded Oliver might: a number for the first ones, or a list of
+    // which ones, e.g. [2] for the second (counting every request)
+    failingSearches = 0,
+    failingSaves = 0,
+    // A status such as 500 or 503, or "drop" to close the connection
+    // without answering
+    failureResponse = 500,
+  } = options;
+
+  const catalogue = new Map(
+    Object.entries(resources).map(([isbn, resource]) => [isbn, { ...resource }])
+  );
+  const sessions = new Set();
+  const stats = {
+    logins: 0,
+    failedLogins: 0,
+    searches: [],
+    // ISBNs searched for after the session had ended
+    expiredSearches: [],
+    saves: [],
+    // ISBNs whose search or save was answered with failureResponse
+    failedSearches: [],
+    failedSaves: [],
+    // Requests for the welcome page, e.g. keep-alive pings
+    welcomeVisits: 0,
+  };
+  let deniedVisits = 0;
+  let noticesShown = 0;
+  let sessionsExpired = false;
+  const requestCounts = { search: 0, save: 0 };
+
+  const render = (pageOptions) =>
+    page({ ...pageOptions, dialogOpen: openLoginDialog });
+
+  // Whether this search or save (kind) is one of those set to fail
+  const failsNext = (kind, failing) => {
+    const count = ++requestCounts[kind];
+    return Array.isArray(failing) ? failing.includes(count) : count <= failing;
+  };
+
+  const answerFailure = (response) => {
+    if (failureResponse === "drop") {
+      response.socket.destroy();
+    } else {
+      sendJson(response, failureResponse, { error: "Internal server error" });
+    }
+  };
+
+  const isLoggedIn = (request) =>
+    sessions.has(parseCookies(request.headers.cookie).JSESSIONID);
+
+  const answerExpired = (response) => {
+    if (expiredResponse === "login") {
+      redirect(response, PATHS.login);
+    } else if (expiredResponse === "permission-denied") {
+      redirect(response, PATHS.permissionDenied);
+    } else {
+      sendJson(response, expiredResponse, { error: "Session expired" });
+    }
+  };
+
+  const permissionDeniedPage = (loggedIn) =>
+    render({
+      title: "Permission Denied",
+      loggedIn,
+      returnTo: PATHS.smartCataloguing,
+      body: `<div class="permissionDenied?resource=%2Fcataloguing%2FsmartCataloguing">You do not have permission to view this page.</div>`,
+    });
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const loggedIn = isLoggedIn(request);
+
+    try {
+      if (request.method === "POST" && url.pathname === PATHS.login) {
+        const form = new URLSearchParams(await readBody(request));
+        const returnTo = form.get("returnTo")?.startsWith("/oliver/")
+          ? form.get("returnTo")
+          : PATHS.home;
+
+        if (
+          form.get("username") !== username ||
+          form.get("password") !== password
+        ) {
+          stats.failedLogins++;
+          redirect(response, returnTo);
+          return;
+        }
+
+        const token = randomBytes(16).toString("hex");
+        sessions.add(token);
+        stats.logins++;
+        redirect(response, returnTo, {
+          "Set-Cookie": `JSESSIONID=${token}; Path=/; HttpOnly`,
+        });
+        return;
+      }
+
+      if (url.pathname === PATHS.logout) {
+        sessions.delete(parseCookies(request.headers.cookie).JSESSIONID);
+        redirect(response, PATHS.home);
+        return;
+      }
+
+      if (request.method === "POST" && url.pathname === PATHS.search) {
+        const { isbn } = JSON.parse(await readBody(request));
+        if (!loggedIn) {
+          stats.expiredSearches.push(isbn);
+          answerExpired(response);
+          return;
+        }
+        if (failsNext("search", failingSearches)) {
+          stats.failedSearches.push(isbn);
+          answerFailure(response);
+          return;
+        }
+
+        stats.searches.push(isbn);
+        if (
+          expireSessionsAfterSearches &&
+          !sessionsExpired &&
+          stats.searches.length === expireSessionsAfterSearches
+        ) {
+          sessionsExpired = true;
+          sessions.clear();
+        }
+        if (stats.searches.length <= unansweredSearches) {
+          return;
+        }
+
+        const resource = catalogue.get(isbn);
+        if (!resource) {
+          sendJson(response, 200, { message: MESSAGES.notFound });
+          return;
+        }
+        sendJson(response, 200, {
+          message: resource.message || MESSAGES.found,
+          record: resource.message
+            ? null
+            : [
+                ["Title", resource.title],
+                ["Author", resource.author],
+                ["Publisher", resource.publisher],
+                ["Year", resource.year],
+                ["Source", "Mock Union Catalogue"],
+              ],
+          canSave: !resource.message && !resource.inCatalogue,
+        });
+        return;
+      }
+
+      if (request.method === "POST" && url.pathname === PATHS.save) {
+        if (!loggedIn) {
+          answerExpired(response);
+          return;
+        }
+
+        const { isbn } = JSON.parse(await readBody(request));
+        if (failsNext("save", failingSaves)) {
+          stats.failedSaves.push(isbn);
+          answerFailure(response);
+          return;
+        }
+        const resource = catalogue.get(isbn);
+        if (!resource || resource.inCatalogue) {
+          sendJson(response, 200, {
+            ok: false,
+            message: "An error occurred: nothing to save",
+          });
+          return;
+        }
+        if (resource.saveResult === "error") {
+          sendJson(response, 200, {
+            ok: false,
+            message: "An error occurred while saving the resource",
+          });
+          return;
+        }
+        if (resource.saveResult === "lost") {
+          sendJson(response, 200, {
+            ok: true,
+            lost: true,
+            message: "Your request has been submitted",
+          });
+          return;
+        }
+
+        resource.inCatalogue = true;
+        stats.saves.push(isbn);
+        if (resource.saveResult === "unconfirmed") {
+          response.socket.destroy();
+          return;
+        }
+        sendJson(response, 200, {
+          ok: true,
+          message: resource.saveMessage || "Resource saved successfully",
+        });
+        return;
+      }
+
+      if (url.pathname === PATHS.home || url.pathname === "/") {
+        send(
+          response,
+          200,
+          render({
+            title: "Home",
+            loggedIn,
+            returnTo: PATHS.home,
+            body: "<h1>Library Home</h1>",
+          })
+        );
+        return;
+      }
+
+      if (url.pathname === PATHS.login) {
+        send(
+          response,
+          200,
+          render({ title: "Log in", loggedIn, returnTo: PATHS.welcome })
+        );
+        return;
+      }
+
+      if (url.pathname === PATHS.notice) {
+        send(
+          response,
+          200,
+          render({
+            title: "Notice",
+            loggedIn,
+            returnTo: PATHS.notice,
+            body: "<h1>Scheduled maintenance</h1><p>Oliver will be unavailable tonight from 10pm.</p>",
+          })
+        );
+        return;
+      }
+
+      if (url.pathname === PATHS.permissionDenied) {
+        send(response, 200, permissionDeniedPage(loggedIn));
+        return;
+      }
+
+      if (url.pathname === PATHS.welcome) {
+        stats.welcomeVisits++;
+        send(
+          response,
+          200,
+          render({
+            title: "Welcome",
+            loggedIn,
+            returnTo: PATHS.welcome,
+            body: loggedIn
+              ? `<h1>Welcome</h1>${cataloguingMenu(smartCataloguingInMenu)}`
+              : "",
+            script: loggedIn ? CATALOGUING_MENU_SCRIPT : "",
+          })
+        );
+        return;
+      }
+
+      if (url.pathname === PATHS.smartCataloguing) {
+        if (loggedIn && noticesShown < noticeVisits) {
+          noticesShown++;
+          redirect(response, PATHS.notice);
+          return;
+        }
+        if (loggedIn && deniedVisits < permissionDeniedVisits) {
+          deniedVisits++;
+          send(response, 200, permissionDeniedPage(loggedIn));
+          return;
+        }
+
+        send(
+          response,
+          200,
+          render({
+            title: "Smart Cataloguing",
+            loggedIn,
+            returnTo: PATHS.smartCataloguing,
+            body: loggedIn ? SMART_CATALOGUING_BODY : "",
+            script: loggedIn ? SMART_CATALOGUING_SCRIPT : "",
+          })
+        );
+        return;
+      }
+
+      send(response, 404, "Not found");
+    } catch (error) {
+      send(response, 500, error.message);
+    }
+  });
+
+  return new Promise((resolveServer) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolveServer({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        stats,
+        catalogue,
+        close: () =>
+          new Promise((resolveClose) => {
+            server.closeAllConnections();
+            server.close(resolveClose);
+          }),
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = await startMockOliver({ port: Number(process.argv[2]) || 8080 });
+  console.log(`Mock Oliver running at ${mock.baseUrl}`);
+  console.log('Log in with username "librarian" and password "secret".');
+  console.log("ISBNs it knows about:");
+  for (const [isbn, resource] of Object.entries(SAMPLE_RESOURCES)) {
+    console.log(
+      `   - ${isbn}: ${
+        resource.message ||
+        `${resource.title}${
+          resource.inCatalogue ? " (already catalogued)" : ""
+        }`
+      }`
+    );
+  }
+}
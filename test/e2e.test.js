@@ -0,0 +1,1362 @@
+// End-to-end tests: run the real CLI in a headless browser against the mock
+// Oliver server in mock-oliver/server.js. Needs Playwright's Chromium
+// ("npx playwright install chromium").
+import assert from "node:assert/strict";
+import { execFile, spawnSync } from "node:child_process";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  utimesSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { inflateRawSync } from "node:zlib";
+import {
+  BatchRunner,
+  createSharedSession,
+  expiryReason,
+  importSpreadsheet,
+  loadSiteConfig,
+  markSessionExpired,
+  OliverClient,
+  resolveDataFiles,
+  startDashboard,
+  StateStore,
+  watchInbox,
+} from "../lib/index.js";
+import { startMockOliver } from "../mock-oliver/server.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const TEST_TIMEOUT = 180000;
+// How long to wait for something running in the background before failing
+const POLL_TIMEOUT = 120000;
+
+const NEW_BOOK = "9780140449136";
+const ALREADY_CATALOGUED = "9780199535569";
+const ANOTHER_NEW_BOOK = "9780061120084";
+const UNRECOGNISED_STATUS = "9780316067928";
+const NOT_IN_OLIVER = "9780000000019";
+
+let mock;
+let workDir;
+
+afterEach(async () => {
+  await mock?.close();
+  mock = null;
+  if (workDir) {
+    rmSync(workDir, { recursive: true, force: true });
+    workDir = null;
+  }
+});
+
+async function startMock(options) {
+  mock = await startMockOliver(options);
+  workDir = mkdtempSync(join(tmpdir(), "oliver-uploader-test-"));
+  writeFileSync(
+    join(workDir, "oliver.config.json"),
+    JSON.stringify({
+      sites: { mock: { baseUrl: mock.baseUrl } },
+      profiles: {
+        mock: {
+          site: "mock",
+          dataDir: join(workDir, "data"),
+          usernameEnv: "MOCK_OLIVER_USERNAME",
+          passwordEnv: "MOCK_OLIVER_PASSWORD",
+        },
+      },
+    })
+  );
+  return mock;
+}
+
+// Runs "node index.js <args>" against the mock and resolves with its output;
+// the working directory is the temp folder so no real .env is picked up.
+// input is written to the tool's stdin.
+function runTool(args, { password = "secret", input = "" } = {}) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("OLIVER_"))
+  );
+  Object.assign(env, {
+    MOCK_OLIVER_USERNAME: "librarian",
+    MOCK_OLIVER_PASSWORD: password,
+    OLIVER_CONFIG: join(workDir, "oliver.config.json"),
+    OLIVER_PROFILE: "mock",
+  });
+
+  return new Promise((resolveRun) => {
+    const child = execFile(
+      process.execPath,
+      [join(ROOT, "index.js"), ...args],
+      { cwd: workDir, env, timeout: TEST_TIMEOUT - 10000 },
+      (error, stdout, stderr) => {
+        resolveRun({ code: error ? error.code ?? 1 : 0, stdout, stderr });
+      }
+    );
+    child.stdin.end(input);
+  });
+}
+
+function run(isbns, ...options) {
+  return runTool([
+    "run",
+    ...isbns,
+    "--headless",
+    "--retry-delay",
+    "0",
+    ...options,
+  ]);
+}
+
+function dataFile(name) {
+  return join(workDir, "data", name);
+}
+
+// Every event in the state store's journal, oldest first
+function stateEvents() {
+  if (!existsSync(dataFile("state.jsonl"))) {
+    return [];
+  }
+  return readFileSync(dataFile("state.jsonl"), "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Every result recorded for the ISBN, oldest first
+function resultsFor(isbn) {
+  return stateEvents()
+    .filter((event) => event.type === "result" && event.isbn === isbn)
+    .map((event) => event.result);
+}
+
+// The latest result for each ISBN, from the state store
+function latestResults() {
+  const results = {};
+  for (const event of stateEvents()) {
+    if (event.type === "result") {
+      results[event.isbn] = event.result;
+    }
+  }
+  return results;
+}
+
+// Everything stored in a zip file (a Playwright trace), as one string
+function readZipContents(filePath) {
+  const zip = readFileSync(filePath);
+  const directoryEnd = zip.lastIndexOf(Buffer.from("PK\x05\x06", "latin1"));
+  const entries = zip.readUInt16LE(directoryEnd + 10);
+  let entry = zip.readUInt32LE(directoryEnd + 16);
+  let contents = "";
+  for (let i = 0; i < entries; i++) {
+    const method = zip.readUInt16LE(entry + 10);
+    const size = zip.readUInt32LE(entry + 20);
+    const local = zip.readUInt32LE(entry + 42);
+    const start =
+      local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const data = zip.subarray(start, start + size);
+    contents += (method === 8 ? inflateRawSync(data) : data).toString("latin1");
+    entry +=
+      46 +
+      zip.readUInt16LE(entry + 28) +
+      zip.readUInt16LE(entry + 30) +
+      zip.readUInt16LE(entry + 32);
+  }
+  return contents;
+}
+
+// Checks every 200 ms until check() is true. Fails if that takes longer than
+// POLL_TIMEOUT, or if the stopped promise (e.g. a watcher that should still be
+// running) settles first.
+async function pollUntil(check, description, { stopped } = {}) {
+  const deadline = Date.now() + POLL_TIMEOUT;
+  let stoppedEarly = null;
+  stopped?.then(
+    () => (stoppedEarly = new Error(`Stopped before ${description}`)),
+    (error) => (stoppedEarly = error)
+  );
+  while (!(await check())) {
+    if (stoppedEarly) {
+      throw stoppedEarly;
+    }
+    if (Date.now() > deadline) {
+      assert.fail(`Timed out waiting until ${description}`);
+    }
+    await new Promise((wait) => setTimeout(wait, 200));
+  }
+}
+
+function assertSucceeded(output) {
+  assert.equal(output.code, 0, `${output.stdout}\n${output.stderr}`);
+}
+
+describe("result statuses", () => {
+  it(
+    "records added, already existing, not found and unrecognised ISBNs",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      const output = await run([
+        NEW_BOOK,
+        ALREADY_CATALOGUED,
+        NOT_IN_OLIVER,
+        UNRECOGNISED_STATUS,
+      ]);
+      assertSucceeded(output);
+
+      const results = latestResults();
+      assert.equal(results[NEW_BOOK].status, "ADDED");
+      assert.equal(results[NEW_BOOK].record.title, "The Odyssey");
+      assert.equal(results[NEW_BOOK].record.author, "Homer");
+      assert.equal(results[NEW_BOOK].record.year, "2003");
+      assert.equal(results[ALREADY_CATALOGUED].status, "ALREADY_EXISTS");
+      assert.equal(results[NOT_IN_OLIVER].status, "NOT_FOUND");
+      assert.equal(results[UNRECOGNISED_STATUS].status, "UNKNOWN");
+      assert.equal(
+        results[UNRECOGNISED_STATUS].errorCategory,
+        "unrecognised-status"
+      );
+
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+      assert.equal(mock.stats.logins, 1);
+      assert.ok(existsSync(dataFile("report.txt")));
+      assert.ok(existsSync(dataFile("report.csv")));
+    }
+  );
+
+  it(
+    "records SAVE_FAILED when Oliver reports an error saving",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({
+        resources: {
+          [NEW_BOOK]: { title: "The Odyssey", saveResult: "error" },
+        },
+      });
+      assertSucceeded(await run([NEW_BOOK]));
+
+      const result = latestResults()[NEW_BOOK];
+      assert.equal(result.status, "SAVE_FAILED");
+      assert.match(result.error, /error occurred while saving/);
+      assert.deepEqual(mock.stats.saves, []);
+    }
+  );
+
+  it(
+    "isn't put off by a save message that mentions errors",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({
+        resources: {
+          [NEW_BOOK]: {
+            title: "The Odyssey",
+            saveMessage: "Resource saved, 0 errors found",
+          },
+        },
+      });
+      assertSucceeded(await run([NEW_BOOK]));
+
+      assert.equal(latestResults()[NEW_BOOK].status, "ADDED");
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+    }
+  );
+
+  it(
+    "records SAVE_FAILED when a save silently doesn't land",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({
+        resources: {
+          [NEW_BOOK]: { title: "The Odyssey", saveResult: "lost" },
+        },
+      });
+      assertSucceeded(await run([NEW_BOOK]));
+
+      const result = latestResults()[NEW_BOOK];
+      assert.equal(result.status, "SAVE_FAILED");
+      assert.equal(result.errorCategory, "save-failed");
+      // The check searched for the ISBN a second time
+      assert.equal(
+        mock.stats.searches.filter((isbn) => isbn === NEW_BOOK).length,
+        2
+      );
+    }
+  );
+
+  it(
+    "records ADDED_UNVERIFIED when a save can't be checked",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({
+        resources: {
+          [NEW_BOOK]: { title: "The Odyssey", saveResult: "unconfirmed" },
+        },
+        // The search checking the save gets no answer
+        failingSearches: [2],
+        failureResponse: "drop",
+      });
+      const output = await run([NEW_BOOK], "--timing", "fast");
+      assertSucceeded(output);
+
+      assert.match(
+        output.stdout,
+        /Resource saved, but the save could not be verified/
+      );
+      const results = resultsFor(NEW_BOOK);
+      assert.equal(results.length, 1);
+      assert.equal(results[0].status, "ADDED_UNVERIFIED");
+      assert.equal(results[0].error, "Save could not be verified");
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+      assert.deepEqual(mock.stats.failedSearches, [NEW_BOOK]);
+    }
+  );
+
+  it(
+    "saves a screenshot, the page and a trace for failed ISBNs",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(await run([NEW_BOOK, UNRECOGNISED_STATUS], "--trace"));
+
+      const { artifacts, runId } = latestResults()[UNRECOGNISED_STATUS];
+      assert.equal(
+        artifacts.statusMessage,
+        "Search service unavailable, please try again later"
+      );
+      for (const file of [artifacts.screenshot, artifacts.html]) {
+        assert.ok(existsSync(dataFile(file)), file);
+      }
+      assert.match(
+        readFileSync(dataFile(artifacts.details), "utf-8"),
+        /Search service unavailable/
+      );
+      assert.equal(latestResults()[NEW_BOOK].artifacts, null);
+      assert.ok(existsSync(dataFile(join("artifacts", runId, "trace.zip"))));
+      assert.match(
+        readFileSync(dataFile("errors.txt"), "utf-8"),
+        /see artifacts.+\.png/
+      );
+    }
+  );
+
+  it(
+    "keeps the password out of the trace when logging in again",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      const password = "Tr4ce-Pa55word";
+      await startMock({ password, expireSessionsAfterSearches: 1 });
+      assertSucceeded(
+        await runTool(
+          [
+            "run",
+            NEW_BOOK,
+            ANOTHER_NEW_BOOK,
+            "--headless",
+            "--retry-delay",
+            "0",
+            "--trace",
+          ],
+          { password }
+        )
+      );
+      assert.equal(mock.stats.logins, 2);
+
+      const { runId } = latestResults()[ANOTHER_NEW_BOOK];
+      const traces = ["trace.zip", "trace-2.zip"].map((name) =>
+        dataFile(join("artifacts", runId, name))
+      );
+      for (const trace of traces) {
+        assert.ok(existsSync(trace), trace);
+        const contents = readZipContents(trace);
+        assert.ok(contents.length > 0);
+        assert.ok(!contents.includes(password), `${trace} has the password`);
+      }
+    }
+  );
+
+  it(
+    "keeps a log file with the ISBN of each line",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(await run([NEW_BOOK], "--log-format", "json"));
+
+      const [logName] = readdirSync(dataFile("logs"));
+      const entries = readFileSync(join(dataFile("logs"), logName), "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+      const forBook = entries.filter((entry) => entry.isbn === NEW_BOOK);
+      assert.ok(
+        forBook.some((entry) => /saved successfully/.test(entry.message))
+      );
+      // The summary at the end is in the log too
+      assert.ok(
+        entries.some((entry) => /^Total: 1 \| Added: 1/.test(entry.message))
+      );
+      assert.ok(entries.some((entry) => entry.level === "debug"));
+      assert.ok(entries.every((entry) => entry.time && entry.level));
+    }
+  );
+
+  it(
+    "diverts invalid ISBNs without searching for them",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(await run([NEW_BOOK, "9780140449137"]));
+
+      assert.deepEqual(mock.stats.searches, [NEW_BOOK]);
+      assert.match(readFileSync(dataFile("invalid.txt"), "utf-8"), /449137/);
+    }
+  );
+});
+
+describe("lookup-only mode", () => {
+  it(
+    "previews results without saving anything",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(
+        await run(
+          [NEW_BOOK, ALREADY_CATALOGUED, NOT_IN_OLIVER],
+          "--lookup-only"
+        )
+      );
+
+      assert.deepEqual(mock.stats.saves, []);
+      assert.equal(mock.stats.searches.length, 3);
+      assert.deepEqual(latestResults(), {});
+
+      const preview = readFileSync(dataFile("preview-report.csv"), "utf-8");
+      assert.match(preview, new RegExp(`${NEW_BOOK},WOULD_ADD`));
+      assert.match(preview, new RegExp(`${ALREADY_CATALOGUED},ALREADY_EXISTS`));
+      assert.match(preview, new RegExp(`${NOT_IN_OLIVER},NOT_FOUND`));
+    }
+  );
+});
+
+describe("scan mode", () => {
+  it(
+    "processes each scanned ISBN and flags books to set aside",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      const output = await runTool(["scan", "--headless"], {
+        input: `${NEW_BOOK}\n\n${NOT_IN_OLIVER}\n12345\n${NEW_BOOK}\n`,
+      });
+      assertSucceeded(output);
+
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+      assert.equal(mock.stats.searches.length, 2);
+      const results = latestResults();
+      assert.equal(results[NEW_BOOK].status, "ADDED");
+      assert.equal(results[NOT_IN_OLIVER].status, "NOT_FOUND");
+
+      assert.match(output.stdout, new RegExp(`ADDED: ${NEW_BOOK}`));
+      assert.match(
+        output.stdout,
+        new RegExp(`ADDED: ${NEW_BOOK}.*scanned before`)
+      );
+      assert.match(
+        output.stdout,
+        new RegExp(`\x07\n!+\n❌ NOT FOUND: ${NOT_IN_OLIVER}`)
+      );
+      assert.match(output.stdout, /NOT AN ISBN: "12345"/);
+      assert.match(readFileSync(dataFile("invalid.txt"), "utf-8"), /^12345 #/);
+    }
+  );
+});
+
+describe("recovery", () => {
+  it(
+    "logs in again when the session expires part-way through",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ expireSessionsAfterSearches: 1 });
+      const output = await run([NEW_BOOK, ANOTHER_NEW_BOOK]);
+      assertSucceeded(output);
+      // Noticed from Oliver's answer to the search, not the page it landed on
+      assert.match(
+        output.stdout,
+        /Oliver ended the session after \d+ min \(Oliver answered 401 for \/oliver\/cataloguing\/smartCataloguing\/search\)/
+      );
+
+      const results = latestResults();
+      assert.equal(results[NEW_BOOK].status, "ADDED");
+      assert.equal(results[ANOTHER_NEW_BOOK].status, "ADDED");
+      assert.equal(mock.stats.logins, 2);
+      assert.deepEqual(mock.stats.saves.sort(), [NEW_BOOK, ANOTHER_NEW_BOOK]);
+    }
+  );
+
+  for (const [expiredResponse, reason] of [
+    [
+      440,
+      /Oliver answered 440 for \/oliver\/cataloguing\/smartCataloguing\/search/,
+    ],
+    [
+      "login",
+      /\/oliver\/cataloguing\/smartCataloguing\/search was redirected to \/oliver\/login/,
+    ],
+    [
+      "permission-denied",
+      /\/oliver\/cataloguing\/smartCataloguing\/search was redirected to \/oliver\/permissionDenied/,
+    ],
+  ]) {
+    it(
+      `logs in again and searches again when Oliver ends the session with ${expiredResponse}`,
+      { timeout: TEST_TIMEOUT },
+      async () => {
+        await startMock({ expireSessionsAfterSearches: 1, expiredResponse });
+        const output = await run([NEW_BOOK, ANOTHER_NEW_BOOK]);
+        assertSucceeded(output);
+        assert.match(output.stdout, reason);
+
+        // The search that found the session over was made again after
+        // logging in
+        assert.deepEqual(mock.stats.expiredSearches, [ANOTHER_NEW_BOOK]);
+        assert.ok(mock.stats.searches.includes(ANOTHER_NEW_BOOK));
+        assert.equal(mock.stats.logins, 2);
+        assert.equal(latestResults()[ANOTHER_NEW_BOOK].status, "ADDED");
+      }
+    );
+  }
+
+  it(
+    "gets past a permission-denied page",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ permissionDeniedVisits: 1 });
+      assertSucceeded(await run([NEW_BOOK]));
+
+      assert.equal(latestResults()[NEW_BOOK].status, "ADDED");
+    }
+  );
+
+  it(
+    "reuses the saved session on the next run",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(await run([NEW_BOOK]));
+      assert.ok(existsSync(dataFile("session.json")));
+
+      assertSucceeded(await run([ANOTHER_NEW_BOOK]));
+      assert.equal(mock.stats.logins, 1);
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK, ANOTHER_NEW_BOOK]);
+    }
+  );
+
+  it(
+    "never processes an ISBN twice across runs",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(await run([NEW_BOOK]));
+      assertSucceeded(await run([NEW_BOOK, ALREADY_CATALOGUED]));
+
+      assert.deepEqual(mock.stats.searches, [NEW_BOOK, ALREADY_CATALOGUED]);
+    }
+  );
+
+  it(
+    "stops with a clear error when the login is wrong",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      const output = await runTool(
+        ["run", NEW_BOOK, "--headless", "--retry-delay", "0"],
+        { password: "wrong" }
+      );
+
+      // Gives up after MAX_FAILED_LOGINS instead of trying every step
+      assert.equal(mock.stats.failedLogins, 3);
+      assert.deepEqual(mock.stats.saves, []);
+      assert.match(output.stdout, /Unable to reach Smart Cataloguing/);
+      assert.match(
+        output.stdout,
+        /after 3 unsuccessful logins; stuck on page state: logged-out/
+      );
+    }
+  );
+
+  it(
+    "searches again when Oliver doesn't answer a search in time",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ unansweredSearches: 1 });
+      const output = await run([NEW_BOOK], "--timing", "fast");
+      assertSucceeded(output);
+
+      assert.match(
+        output.stdout,
+        /No answer to the search in time \(status message: "Search, please wait\.\.\."\)/
+      );
+      // Not read as an unrecognised answer and parked, but retried
+      const [timedOut, added] = resultsFor(NEW_BOOK);
+      assert.equal(timedOut.status, "ERROR");
+      assert.equal(timedOut.errorCategory, "timeout");
+      assert.equal(added.status, "ADDED");
+      assert.deepEqual(mock.stats.searches, [NEW_BOOK, NEW_BOOK]);
+    }
+  );
+
+  it(
+    "retries a search that fails for a while, waiting longer each time",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ failingSearches: 2, failureResponse: "drop" });
+      const output = await run(
+        [NEW_BOOK],
+        "--timing",
+        "fast",
+        "--retry-delay",
+        "1"
+      );
+      assertSucceeded(output);
+
+      assert.deepEqual(
+        resultsFor(NEW_BOOK).map((result) => result.status),
+        ["ERROR", "ERROR", "ADDED"]
+      );
+      assert.match(output.stdout, /↻ 9780140449136: timeout, retrying in 1s/);
+      assert.match(output.stdout, /↻ 9780140449136: timeout, retrying in 2s/);
+      const delays = stateEvents()
+        .filter((event) => event.type === "retry")
+        .map((event) =>
+          Math.round((Date.parse(event.retryAt) - Date.parse(event.at)) / 1000)
+        );
+      assert.deepEqual(delays, [1, 2]);
+      assert.deepEqual(mock.stats.failedSearches, [NEW_BOOK, NEW_BOOK]);
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+    }
+  );
+
+  it(
+    "waits until a session failure's retryAt before trying it again",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      // Enough failures for the three searches of one attempt, each sending
+      // the page back home
+      await startMock({ failingSearches: 3 });
+      const output = await run([NEW_BOOK], "--retry-delay", "2");
+      assertSucceeded(output);
+
+      const [failed, added] = resultsFor(NEW_BOOK);
+      assert.equal(failed.status, "ERROR");
+      assert.equal(failed.errorCategory, "session");
+      assert.equal(added.status, "ADDED");
+      assert.match(output.stdout, /↻ 9780140449136: session, retrying in 2s/);
+
+      const events = stateEvents().filter((event) => event.isbn === NEW_BOOK);
+      const retries = events.filter((event) => event.type === "retry");
+      assert.equal(retries.length, 1);
+      const [retry] = retries;
+      assert.equal(retry.category, "session");
+      const retryAt = Date.parse(retry.retryAt);
+      assert.equal(Math.round((retryAt - Date.parse(retry.at)) / 1000), 2);
+      // Not started again before then
+      const restarted = events
+        .slice(events.indexOf(retry))
+        .find((event) => event.type === "started");
+      assert.ok(Date.parse(restarted.at) >= retryAt);
+    }
+  );
+
+  it(
+    "parks an ISBN after --max-attempts until retry-errors",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ failingSearches: 2, failureResponse: "drop" });
+      const parked = await run(
+        [NEW_BOOK],
+        "--timing",
+        "fast",
+        "--max-attempts",
+        "2"
+      );
+      assertSucceeded(parked);
+      assert.match(
+        parked.stdout,
+        /⏸️ {2}9780140449136: timeout, parked after 2 attempt\(s\)/
+      );
+      assert.equal(latestResults()[NEW_BOOK].status, "ERROR");
+      assert.deepEqual(mock.stats.saves, []);
+
+      const requeued = await runTool(["retry-errors"]);
+      assertSucceeded(requeued);
+      assert.match(requeued.stdout, /Moved 1 ISBN\(s\) back into the queue/);
+
+      assertSucceeded(await run([], "--timing", "fast"));
+      assert.equal(latestResults()[NEW_BOOK].status, "ADDED");
+      assert.equal(resultsFor(NEW_BOOK).length, 3);
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+    }
+  );
+
+  it(
+    "doesn't retry a save that failed",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ failingSaves: 1 });
+      const output = await run([NEW_BOOK]);
+      assertSucceeded(output);
+
+      // Trying again could catalogue it twice if the save had landed
+      const results = resultsFor(NEW_BOOK);
+      assert.equal(results.length, 1);
+      assert.equal(results[0].status, "SAVE_FAILED");
+      assert.match(output.stdout, /save-failed, parked after 1 attempt\(s\)/);
+      assert.deepEqual(mock.stats.failedSaves, [NEW_BOOK]);
+      assert.deepEqual(mock.stats.saves, []);
+    }
+  );
+
+  it(
+    "logs in when a page opens with the login dialog showing",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ openLoginDialog: true });
+      const output = await run([NEW_BOOK]);
+      assertSucceeded(output);
+
+      assert.match(output.stdout, /Page state: login-dialog; logging in/);
+      assert.equal(mock.stats.logins, 1);
+      assert.equal(latestResults()[NEW_BOOK].status, "ADDED");
+    }
+  );
+
+  it(
+    "goes back to the welcome page from a page it doesn't recognise",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ noticeVisits: 1 });
+      const output = await run([NEW_BOOK]);
+      assertSucceeded(output);
+
+      assert.match(
+        output.stdout,
+        /Page state: unknown \(.+\/oliver\/notice\.do\); going to the welcome page/
+      );
+      assert.equal(latestResults()[NEW_BOOK].status, "ADDED");
+    }
+  );
+
+  it(
+    "gives up when the menu never offers Smart Cataloguing",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock({ smartCataloguingInMenu: false });
+      const output = await run([NEW_BOOK], "--timing", "fast");
+
+      assert.match(
+        output.stdout,
+        /Gave up reaching Smart Cataloguing after 10 steps; stuck on page state: welcome/
+      );
+      assert.match(output.stdout, /Unable to reach Smart Cataloguing/);
+      assert.equal(mock.stats.logins, 1);
+      assert.deepEqual(mock.stats.searches, []);
+    }
+  );
+});
+
+describe("batches", () => {
+  it(
+    "reports on the latest run, one batch or everything",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      const firstFile = join(workDir, "first-order.txt");
+      writeFileSync(firstFile, `${NEW_BOOK}\n`);
+      assertSucceeded(await run([firstFile]));
+      assertSucceeded(await run([ALREADY_CATALOGUED], "--label", "shelf 4"));
+
+      const report = () => readFileSync(dataFile("report.csv"), "utf-8");
+      assert.match(
+        report(),
+        new RegExp(`^${ALREADY_CATALOGUED},.*,shelf 4\r?$`, "m")
+      );
+      assert.doesNotMatch(report(), new RegExp(NEW_BOOK));
+      assert.match(
+        readFileSync(dataFile("report.txt"), "utf-8"),
+        /Batch: shelf 4[\s\S]*Total ISBNs Processed: 1/
+      );
+
+      assertSucceeded(await runTool(["report", "--batch", "first-order.txt"]));
+      assert.match(
+        report(),
+        new RegExp(`^${NEW_BOOK},ADDED,.*,first-order.txt\r?$`, "m")
+      );
+      assert.doesNotMatch(report(), new RegExp(ALREADY_CATALOGUED));
+
+      assertSucceeded(await runTool(["report"]));
+      assert.match(report(), new RegExp(NEW_BOOK));
+      assert.match(report(), new RegExp(ALREADY_CATALOGUED));
+
+      const batches = await runTool(["batches"]);
+      assert.match(
+        batches.stdout,
+        /first-order\.txt\n {3}1 ISBN\(s\): 1 added/
+      );
+      assert.match(
+        batches.stdout,
+        /shelf 4\n {3}1 ISBN\(s\): 0 added, 1 already/
+      );
+    }
+  );
+});
+
+describe("concurrency", () => {
+  it(
+    "shares the work between workers without duplicates",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      assertSucceeded(
+        await run(
+          [NEW_BOOK, ANOTHER_NEW_BOOK, ALREADY_CATALOGUED, NOT_IN_OLIVER],
+          "--concurrency",
+          "2"
+        )
+      );
+
+      assert.deepEqual(mock.stats.saves.sort(), [NEW_BOOK, ANOTHER_NEW_BOOK]);
+      assert.equal(mock.stats.searches.length, 4);
+      assert.equal(Object.keys(latestResults()).length, 4);
+    }
+  );
+});
+
+describe("timing", () => {
+  it(
+    "records how long each step took with the fast profile",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      // Two books in a row with the same answer: the second search must
+      // still wait for its own result
+      assertSucceeded(
+        await run(
+          [NEW_BOOK, ANOTHER_NEW_BOOK, NOT_IN_OLIVER],
+          "--timing",
+          "fast"
+        )
+      );
+
+      const results = latestResults();
+      assert.equal(results[NEW_BOOK].status, "ADDED");
+      assert.equal(results[ANOTHER_NEW_BOOK].status, "ADDED");
+      assert.equal(
+        results[ANOTHER_NEW_BOOK].record.title,
+        "To Kill a Mockingbird"
+      );
+      assert.equal(results[NOT_IN_OLIVER].status, "NOT_FOUND");
+      assert.ok(results[NEW_BOOK].timings.search > 0);
+      assert.ok(results[NEW_BOOK].timings.save > 0);
+      assert.equal(results[NOT_IN_OLIVER].timings.save, undefined);
+
+      assert.match(
+        readFileSync(dataFile("report.csv"), "utf-8"),
+        /search_ms,save_ms,verify_ms/
+      );
+      assert.match(
+        readFileSync(dataFile("report.txt"), "utf-8"),
+        /TIME PER STEP:\n- login: /
+      );
+    }
+  );
+
+  it("rejects an unknown timing profile", async () => {
+    await startMock();
+    const output = await runTool(["run", NEW_BOOK, "--timing", "slow"]);
+    assert.equal(output.code, 1);
+    assert.match(output.stderr, /--timing must be one of: fast, normal/);
+  });
+});
+
+describe("spreadsheet import", () => {
+  // Writes an input file to a fresh temp folder and returns its path
+  const inputFile = (name, content) => {
+    workDir ??= mkdtempSync(join(tmpdir(), "oliver-uploader-test-"));
+    writeFileSync(join(workDir, name), content);
+    return join(workDir, name);
+  };
+
+  it("reads quoted fields, the header and the ISBN column from a CSV", async () => {
+    const file = inputFile(
+      "invoice.csv",
+      "\uFEFFTitle,Author,ISBN,Qty\r\n" +
+        '"Harry Potter and the Deathly Hallows","Rowling, J.K.",9780545139700,2\r\n' +
+        '"The ""Odyssey""",Homer,9780140449136,1\r\n' +
+        "# a comment\r\n" +
+        ",,,\r\n" +
+        '"A title\nover two lines",Someone,,1\r\n'
+    );
+
+    assert.deepEqual(await importSpreadsheet(file), [
+      {
+        value: "9780545139700",
+        details: {
+          Title: "Harry Potter and the Deathly Hallows",
+          Author: "Rowling, J.K.",
+          Qty: "2",
+        },
+      },
+      {
+        value: "9780140449136",
+        details: { Title: 'The "Odyssey"', Author: "Homer", Qty: "1" },
+      },
+    ]);
+  });
+
+  it("keeps a first row whose ISBN is mistyped or lost its leading zero", async () => {
+    for (const firstRow of [
+      "Physics Text,Smith,306406152",
+      "Harry Potter,Rowling,978054513970X",
+    ]) {
+      const file = inputFile(
+        "order.csv",
+        `${firstRow}\nOdyssey,Homer,9780140449136\nMockingbird,Lee,9780061120084\n`
+      );
+      const entries = await importSpreadsheet(file);
+
+      assert.equal(entries.length, 3, firstRow);
+      assert.equal(
+        entries[0].value,
+        firstRow.endsWith("306406152") ? "0306406152" : "978054513970X"
+      );
+      assert.deepEqual(entries[1], {
+        value: "9780140449136",
+        details: { "Column 1": "Odyssey", "Column 2": "Homer" },
+      });
+    }
+  });
+
+  it("reads every cell of a bare list of ISBNs", async () => {
+    const file = inputFile(
+      "isbns.csv",
+      `${NEW_BOOK},${ANOTHER_NEW_BOOK}\n${NOT_IN_OLIVER};not-an-isbn\n`
+    );
+    assert.deepEqual(
+      (await importSpreadsheet(file)).map((entry) => entry.value),
+      [NEW_BOOK, ANOTHER_NEW_BOOK, NOT_IN_OLIVER, "not-an-isbn"]
+    );
+  });
+
+  it("picks the column given by name or number", async () => {
+    const file = inputFile(
+      "order.tsv",
+      `Title\tSupplier code\tBarcode no\nOdyssey\t12345\t${NEW_BOOK}\n`
+    );
+    const values = async (column) =>
+      (await importSpreadsheet(file, column)).map((entry) => entry.value);
+
+    assert.deepEqual(await values("barcode no"), [NEW_BOOK]);
+    assert.deepEqual(await values("3"), [NEW_BOOK]);
+    assert.deepEqual(await values("2"), ["12345"]);
+    await assert.rejects(
+      values("ISBN"),
+      /Available columns: Title, Supplier code/
+    );
+    await assert.rejects(values("0"), /starts at 1/);
+
+    const noHeader = inputFile("no-header.csv", `Odyssey,${NEW_BOOK}\n`);
+    await assert.rejects(
+      importSpreadsheet(noHeader, "ISBN"),
+      /no header row; use a column number/
+    );
+  });
+
+  it("queues the chosen column with --column", async () => {
+    await startMock();
+    const file = inputFile(
+      "order.txt",
+      `Odyssey,Homer,${NEW_BOOK},9780000000000\nMockingbird,Lee,${ANOTHER_NEW_BOOK},\n`
+    );
+    const output = await runTool(["run", file, "--column", "3", "--dry-run"]);
+
+    assertSucceeded(output);
+    assert.match(output.stdout, /Using column "Column 3" for ISBNs/);
+    assert.match(output.stdout, /Would be added to queue: 2/);
+    assert.match(output.stdout, new RegExp(`- ${ANOTHER_NEW_BOOK}`));
+  });
+});
+
+describe("library", () => {
+  const mockSite = () =>
+    loadSiteConfig("mock", join(workDir, "oliver.config.json"));
+  const login = () => ({ username: "librarian", password: "secret" });
+
+  it(
+    "looks up and adds ISBNs with OliverClient",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      const client = new OliverClient({
+        site: mockSite(),
+        credentials: login(),
+      });
+      await client.open();
+      try {
+        assert.equal(await client.openSmartCataloguing(), true);
+
+        const existing = await client.lookup(ALREADY_CATALOGUED);
+        assert.equal(existing.status, "ALREADY_EXISTS");
+        assert.equal(existing.record.title, "Pride and Prejudice");
+
+        const preview = await client.lookup(NEW_BOOK);
+        assert.equal(preview.status, "WOULD_ADD");
+        assert.equal(preview.canSave, true);
+        assert.deepEqual(mock.stats.saves, []);
+
+        const added = await client.add(NEW_BOOK);
+        assert.equal(added.status, "ADDED");
+        assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+      } finally {
+        await client.close();
+      }
+    }
+  );
+
+  it(
+    "reports progress from BatchRunner",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      const store = new StateStore(resolveDataFiles(join(workDir, "data")));
+      const runner = new BatchRunner({
+        site: mockSite(),
+        credentials: login(),
+        store,
+        retryPolicy: { maxAttempts: 1, retryDelayMs: 0 },
+      });
+      const events = [];
+      for (const name of ["start", "progress", "result", "parked", "done"]) {
+        runner.on(name, (event) => events.push([name, event]));
+      }
+
+      const { completed, results } = await runner.run([
+        NEW_BOOK,
+        NOT_IN_OLIVER,
+        UNRECOGNISED_STATUS,
+      ]);
+
+      assert.equal(completed, true);
+      assert.deepEqual(
+        results.map((result) => result.status),
+        ["ADDED", "NOT_FOUND", "UNKNOWN"]
+      );
+      assert.deepEqual(
+        events.map(([name]) => name),
+        [
+          "start",
+          "progress",
+          "result",
+          "progress",
+          "result",
+          "progress",
+          "result",
+          "parked",
+          "done",
+        ]
+      );
+      assert.equal(store.getRecordsByStatus("ADDED").length, 1);
+    }
+  );
+
+  it(
+    "pings Oliver while the session is idle with keepAliveMs",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      const runner = new BatchRunner({
+        site: mockSite(),
+        credentials: login(),
+        store: new StateStore(resolveDataFiles(join(workDir, "data"))),
+        keepAliveMs: 300,
+      });
+      // Nothing else visits the welcome page between the two scans
+      async function* scanned() {
+        yield NEW_BOOK;
+        const visits = mock.stats.welcomeVisits;
+        await pollUntil(
+          () => mock.stats.welcomeVisits >= visits + 2,
+          "Oliver has been pinged twice"
+        );
+        yield ANOTHER_NEW_BOOK;
+      }
+
+      try {
+        const { results } = await runner.scan(scanned());
+        assert.deepEqual(
+          results.map((result) => result.status),
+          ["ADDED", "ADDED"]
+        );
+      } finally {
+        await runner.close();
+      }
+      assert.equal(mock.stats.logins, 1);
+    }
+  );
+
+  it("tells from Oliver's responses when the session has ended", () => {
+    const site = { baseUrl: "https://oliver.example" };
+    const search = `${site.baseUrl}/oliver/cataloguing/smartCataloguing/search`;
+    const loginPage = `${site.baseUrl}/oliver/login`;
+    assert.equal(
+      expiryReason({ url: search, status: 440 }, site),
+      "Oliver answered 440 for /oliver/cataloguing/smartCataloguing/search"
+    );
+    assert.equal(
+      expiryReason({ url: loginPage, status: 200, requestedUrl: search }, site),
+      "/oliver/cataloguing/smartCataloguing/search was redirected to /oliver/login"
+    );
+    assert.equal(expiryReason({ url: search, status: 200 }, site), null);
+    // Opening the login page on purpose, or another site answering 401
+    assert.equal(expiryReason({ url: loginPage, status: 200 }, site), null);
+    assert.equal(
+      expiryReason({ url: "https://elsewhere.example/", status: 401 }, site),
+      null
+    );
+
+    const session = createSharedSession();
+    // Nobody has logged in yet
+    assert.equal(markSessionExpired(session, 0, "test"), false);
+    session.loggedInAt = Date.now();
+    session.generation = 1;
+    // A login that has already been replaced
+    assert.equal(markSessionExpired(session, 0, "test"), false);
+    assert.equal(markSessionExpired(session, 1, "test"), true);
+    assert.equal(markSessionExpired(session, 1, "test"), false);
+    assert.equal(session.expiredGeneration, 1);
+  });
+
+  it(
+    "queues, runs and downloads ISBNs through the dashboard",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      const store = new StateStore(resolveDataFiles(join(workDir, "data")));
+      const dashboard = await startDashboard({
+        store,
+        site: mockSite(),
+        credentials: login(),
+        port: 0,
+      });
+      const api = async (path, body) => {
+        const response = await fetch(`${dashboard.url}${path}`, {
+          method: body ? "POST" : "GET",
+          headers: { "Content-Type": "application/json" },
+          body: body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        const added = await api("/api/isbns", {
+          text: `${NEW_BOOK}\n${ALREADY_CATALOGUED}\nnot-an-isbn`,
+        });
+        assert.deepEqual(added.body, {
+          found: 3,
+          queued: 2,
+          alreadyProcessed: 0,
+          invalid: 1,
+        });
+
+        const started = await api("/api/start", {});
+        assert.equal(started.body.run.state, "running");
+        assert.equal((await api("/api/start", {})).status, 409);
+
+        let status;
+        await pollUntil(async () => {
+          status = (await api("/api/status")).body;
+          return status.run.state === "idle";
+        }, "the run is finished");
+
+        assert.equal(status.run.processed, 2);
+        assert.deepEqual(
+          status.groups.added.map((row) => row.isbn),
+          [NEW_BOOK]
+        );
+        assert.equal(
+          status.groups["already-exists"][0].title,
+          "Pride and Prejudice"
+        );
+
+        const csv = await (
+          await fetch(`${dashboard.url}/download/added.csv`)
+        ).text();
+        assert.match(csv, new RegExp(`^${NEW_BOOK},ADDED,`, "m"));
+      } finally {
+        await dashboard.close();
+      }
+    }
+  );
+
+  it(
+    "keeps watching when a file can't be moved out of the folder",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      const runner = new BatchRunner({
+        site: mockSite(),
+        credentials: login(),
+        store: new StateStore(resolveDataFiles(join(workDir, "data"))),
+      });
+      const inbox = join(workDir, "inbox");
+      mkdirSync(inbox);
+      const written = new Date(Date.now() - 60000);
+      for (const [name, content] of [
+        ["empty.txt", "no isbns here\n"],
+        ["order.txt", `${NEW_BOOK}\n`],
+      ]) {
+        writeFileSync(join(inbox, name), content);
+        utimesSync(join(inbox, name), written, written);
+      }
+      // A file where the failed/ folder should be, so empty.txt can't go there
+      writeFileSync(join(inbox, "failed"), "");
+
+      const stopWatching = new AbortController();
+      const watching = watchInbox(runner, inbox, {
+        intervalMs: 200,
+        signal: stopWatching.signal,
+      });
+      try {
+        await pollUntil(
+          () => existsSync(join(inbox, "processed", "order.txt.report.csv")),
+          "order.txt is processed",
+          { stopped: watching }
+        );
+        assert.ok(existsSync(join(inbox, "empty.txt")));
+
+        // Picked up again once it can be moved
+        rmSync(join(inbox, "failed"));
+        await pollUntil(
+          () => existsSync(join(inbox, "failed", "empty.txt.error.txt")),
+          "empty.txt is moved to failed/",
+          { stopped: watching }
+        );
+      } finally {
+        stopWatching.abort();
+        await watching;
+      }
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK]);
+    }
+  );
+
+  it("lets only one process change a data directory at a time", async () => {
+    workDir = mkdtempSync(join(tmpdir(), "oliver-uploader-test-"));
+    const dataFiles = resolveDataFiles(join(workDir, "data"));
+    mkdirSync(dataFiles.dir);
+    const lockBy = (pid) =>
+      writeFileSync(
+        dataFiles.lock,
+        JSON.stringify({ pid, since: new Date().toISOString() })
+      );
+
+    // Held by a process that is still running (this test's parent)
+    lockBy(process.ppid);
+    const store = new StateStore(dataFiles);
+    assert.throws(
+      () => store.append({ type: "queued", isbn: NEW_BOOK }),
+      /in use by another process \(PID \d+/
+    );
+
+    // Left behind by a process that has exited
+    lockBy(spawnSync(process.execPath, ["-e", ""]).pid);
+    store.append({ type: "queued", isbn: NEW_BOOK });
+    assert.equal(
+      JSON.parse(readFileSync(dataFiles.lock, "utf-8")).pid,
+      process.pid
+    );
+    assert.equal(store.get(NEW_BOOK).state, "queued");
+  });
+
+  it(
+    "refuses to change the queue while another process has the data directory",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      // This test process holds the lock, as a running "watch" would
+      writeFileSync(
+        dataFile("oliver.lock"),
+        JSON.stringify({ pid: process.pid, since: new Date().toISOString() })
+      );
+
+      const output = await runTool(["retry-errors"]);
+      assert.equal(output.code, 1);
+      assert.match(output.stderr, /in use by another process/);
+      // Reading is fine
+      assertSucceeded(await runTool(["status"]));
+    }
+  );
+
+  it(
+    "processes files dropped into a watched folder",
+    { timeout: TEST_TIMEOUT },
+    async () => {
+      await startMock();
+      mkdirSync(join(workDir, "data"));
+      const store = new StateStore(resolveDataFiles(join(workDir, "data")));
+      const runner = new BatchRunner({
+        site: mockSite(),
+        credentials: login(),
+        store,
+      });
+      const inbox = join(workDir, "inbox");
+      mkdirSync(inbox);
+      // Written a minute ago, so they count as finished
+      const dropFile = (name, content) => {
+        writeFileSync(join(inbox, name), content);
+        const written = new Date(Date.now() - 60000);
+        utimesSync(join(inbox, name), written, written);
+      };
+      dropFile("order-1.txt", `${NEW_BOOK}\n${ALREADY_CATALOGUED}\n`);
+      dropFile("order-2.txt", `${NEW_BOOK}\n${ANOTHER_NEW_BOOK}\n`);
+      dropFile("empty.txt", "no isbns here\n");
+
+      const stopWatching = new AbortController();
+      const processed = join(inbox, "processed");
+      const watching = watchInbox(runner, inbox, {
+        intervalMs: 200,
+        signal: stopWatching.signal,
+      });
+      try {
+        await pollUntil(
+          () =>
+            existsSync(join(processed, "order-2.txt.report.csv")) &&
+            existsSync(join(inbox, "failed", "empty.txt.error.txt")),
+          "every file is processed",
+          { stopped: watching }
+        );
+      } finally {
+        stopWatching.abort();
+        await watching;
+      }
+
+      assert.deepEqual(mock.stats.saves, [NEW_BOOK, ANOTHER_NEW_BOOK]);
+      assert.equal(mock.stats.logins, 1);
+      assert.equal(existsSync(join(inbox, "order-1.txt")), false);
+      assert.equal(existsSync(join(processed, "order-1.txt")), true);
+      const report = readFileSync(
+        join(processed, "order-2.txt.report.csv"),
+        "utf-8"
+      );
+      assert.match(report, new RegExp(`^${NEW_BOOK},ADDED,`, "m"));
+      assert.match(report, new RegExp(`^${ANOTHER_NEW_BOOK},ADDED,`, "m"));
+    }
+  );
+});